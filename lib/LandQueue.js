@@ -0,0 +1,136 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {logger} = require('probot/lib/logger');
+
+/**
+ * @typedef {{
+ *   id: number | string,
+ *   onPositionChange?: (position: number) => *,
+ *   task: () => Promise<*>,
+ * }} LandQueueItem
+ */
+
+module.exports = class LandQueue {
+  /**
+   * Serial task queues, one per key (e.g. parent repo name). Tasks
+   * in the same queue run one at a time in the order they were
+   * added; separate queues run independently
+   *
+   * @example
+   * const queue = new LandQueue()
+   * const {position, result} = queue.add('org/monorepo', {
+   *   id: 123,
+   *   task: async () => land(123),
+   *   // called when entries ahead of this one leave the queue
+   *   onPositionChange: position => {},
+   * })
+   */
+  constructor() {
+    /** @type {Map<string, Array<LandQueueItem & {running?: boolean}>>} */
+    this._queues = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @param {LandQueueItem} item
+   * @returns {{
+   *   position: number,
+   *   result: Promise<*>,
+   * } | void} `position` is the number of items ahead of this
+   *   one; void if an item with the same id is already queued
+   */
+  add(key, item) {
+    if (this.has(key, item.id)) return;
+
+    if (!this._queues.has(key)) {
+      this._queues.set(key, []);
+    }
+
+    const queue = this._queues.get(key);
+    const position = queue.length;
+    const result = new Promise((resolve, reject) => {
+      queue.push({...item, resolve, reject});
+    });
+
+    if (!position) {
+      this._next(key);
+    }
+
+    return {position, result};
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Array<number | string>} ids of queued items, including
+   *   the running one
+   */
+  entries(key) {
+    return (this._queues.get(key) || []).map(item => item.id);
+  }
+
+  /**
+   * @param {string} key
+   * @param {number | string} id
+   * @returns {boolean}
+   */
+  has(key, id) {
+    return this.entries(key).includes(id);
+  }
+
+  /**
+   * Remove an item that hasn't started running yet
+   *
+   * @param {string} key
+   * @param {number | string} id
+   * @returns {boolean} whether the item was removed
+   */
+  remove(key, id) {
+    const queue = this._queues.get(key) || [];
+    const index = queue.findIndex(item => item.id === id);
+
+    if (index < 1) return false;
+
+    const [item] = queue.splice(index, 1);
+    item.resolve();
+    this._notifyPositions(queue, index);
+    return true;
+  }
+
+  _notifyPositions(queue, fromIndex) {
+    for (let i = fromIndex; i < queue.length; i++) {
+      const {onPositionChange} = queue[i];
+
+      if (onPositionChange) {
+        Promise.resolve(onPositionChange(i)).catch(error =>
+          logger.error(`error updating queue position: ${error.message}`),
+        );
+      }
+    }
+  }
+
+  async _next(key) {
+    const queue = this._queues.get(key);
+    const item = queue[0];
+
+    item.running = true;
+
+    try {
+      item.resolve(await item.task());
+    } catch (error) {
+      item.reject(error);
+    }
+
+    queue.shift();
+
+    if (queue.length) {
+      this._notifyPositions(queue, 0);
+      this._next(key);
+    } else {
+      this._queues.delete(key);
+    }
+  }
+};
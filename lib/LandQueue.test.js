@@ -0,0 +1,90 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const LandQueue = require('./LandQueue.js');
+
+function createDeferred() {
+  let resolve;
+  const promise = new Promise(r => (resolve = r));
+  return {promise, resolve};
+}
+
+test('Runs tasks one at a time per key', async () => {
+  const queue = new LandQueue();
+  const calls = [];
+  const first = createDeferred();
+  const positions = [];
+
+  const a = queue.add('org/parent', {
+    id: 1,
+    task: async () => {
+      calls.push('start 1');
+      await first.promise;
+      calls.push('end 1');
+      return 'landed 1';
+    },
+  });
+  const b = queue.add('org/parent', {
+    id: 2,
+    onPositionChange: position => positions.push(position),
+    task: async () => calls.push('start 2'),
+  });
+  const c = queue.add('org/other-parent', {
+    id: 1,
+    task: async () => calls.push('other 1'),
+  });
+
+  expect(a.position).toBe(0);
+  expect(b.position).toBe(1);
+  expect(c.position).toBe(0);
+  expect(queue.add('org/parent', {id: 2, task: async () => {}})).toBe(
+    undefined,
+  );
+  expect(queue.entries('org/parent')).toEqual([1, 2]);
+
+  await c.result;
+  expect(calls).toEqual(['start 1', 'other 1']);
+
+  first.resolve();
+  expect(await a.result).toBe('landed 1');
+  await b.result;
+  expect(calls).toEqual(['start 1', 'other 1', 'end 1', 'start 2']);
+  expect(positions).toEqual([0]);
+  expect(queue.entries('org/parent')).toEqual([]);
+});
+
+test('Continues after failed tasks and supports removal', async () => {
+  const queue = new LandQueue();
+  const calls = [];
+  const first = createDeferred();
+
+  const a = queue.add('org/parent', {
+    id: 1,
+    task: async () => {
+      await first.promise;
+      throw new Error('oops');
+    },
+  });
+  const b = queue.add('org/parent', {
+    id: 2,
+    task: async () => calls.push(2),
+  });
+  const c = queue.add('org/parent', {
+    id: 3,
+    task: async () => calls.push(3),
+  });
+
+  // running items can't be removed
+  expect(queue.remove('org/parent', 1)).toBe(false);
+  expect(queue.remove('org/parent', 2)).toBe(true);
+  expect(queue.entries('org/parent')).toEqual([1, 3]);
+
+  first.resolve();
+  await expect(a.result).rejects.toThrow('oops');
+  await b.result;
+  await c.result;
+  expect(calls).toEqual([3]);
+});
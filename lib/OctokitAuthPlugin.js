@@ -8,80 +8,266 @@ const {App} = require('@octokit/app');
 const {endpoint: createEndpoint} = require('@octokit/endpoint');
 const {request} = require('@octokit/request');
 const get = require('just-safe-get');
+const {API_URL, GRAPHQL_URL} = require('./githubUrls.js');
 
-const GH_HOST = 'https://api.github.com';
 const {APP_ID, GH_TOKEN, PRIVATE_KEY} = process.env;
 const REPO_INSTALL_IDS = new Map();
 const app = new App({
+  baseUrl: API_URL,
   id: APP_ID,
   privateKey: PRIVATE_KEY,
 });
 
+// `/repos/:owner/:repo/...`; names may contain letters, digits, `_`,
+// `-` and `.`
+const REST_REPO_PATTERN = /^\/repos\/([\w.-]+\/[\w.-]+)(?:[/?#]|$)/;
+// `repository(owner: $owner, name: "repo")`, with arguments in any
+// order and either variables or string literals as values
+const GRAPHQL_REPOSITORY_PATTERN = /\brepository\s*\(([^)]*)\)/;
+const GRAPHQL_ARG_PATTERN = /\b(owner|name)\s*:\s*(?:\$(\w+)|"([^"]*)")/g;
+
 /**
  * @type {import('@octokit/rest').Plugin}
  */
 module.exports = function OctokitAuthPlugin(octokit) {
   octokit.hook.wrap('request', async (request, options) => {
-    const token = await getAuthToken(createEndpoint(options));
+    const repoName = getRepoName(createEndpoint(options));
+
+    if (!repoName) {
+      options.headers.authorization = `token ${GH_TOKEN}`;
+      return request(options);
+    }
+
+    const installationId = await getRepoInstallID(repoName);
+    const retryOpts = {installationId, options, repoName, request};
+
+    try {
+      options.headers.authorization = `token ${await app.getInstallationAccessToken(
+        {installationId},
+      )}`;
+    } catch (error) {
+      // e.g. the installation was deleted
+      if (error.status !== 404) throw error;
 
-    options.headers.authorization = `token ${token}`;
-    return request(options);
+      return retryWithLatestInstallation({...retryOpts, error});
+    }
+
+    try {
+      return await request(options);
+    } catch (error) {
+      // 404s are expected (e.g. for missing files), so only a 401
+      // suggests the installation is stale
+      if (error.status !== 401) throw error;
+
+      return retryWithLatestInstallation({...retryOpts, error});
+    }
   });
 };
 
 /**
- * if the request is tied to a repo, use a token from the app's
- * installation; otherwise fallback to the github user token (GH_TOKEN)
+ * The app may have been reinstalled since the installation ID was
+ * cached; if so, retry once with the new installation. Otherwise the
+ * original error is thrown
  *
- * @param {import('@octokit/rest').RequestOptions} endpoint
- * @return {string}
+ * @param {{
+ *   error: Error,
+ *   installationId: number,
+ *   options: import('@octokit/rest').RequestOptions,
+ *   repoName: string,
+ *   request: (options: *) => Promise<*>,
+ * }} opts
+ * @returns {Promise<*>}
  */
-async function getAuthToken(endpoint) {
-  const resolvedUrl = endpoint.url.replace(GH_HOST, '');
-  let repoName;
-
-  if (resolvedUrl === '/graphql') {
-    const {owner, repo} = get(endpoint, 'body.variables') || {};
+async function retryWithLatestInstallation(opts) {
+  const {error, installationId, options, repoName, request} = opts;
+  let latestInstallationId;
 
-    if (owner && repo) {
-      repoName = [owner, repo].join('/');
+  try {
+    latestInstallationId = await fetchRepoInstallID(repoName);
+  } catch (fetchError) {
+    // the app is no longer installed on the repo
+    if (fetchError.status === 404) {
+      REPO_INSTALL_IDS.delete(repoName);
     }
-  } else {
-    const match = /^\/repos\/([a-z-]+\/[a-z-.]+)/.exec(resolvedUrl);
 
-    if (match) {
-      repoName = match[1];
-    }
+    throw error;
   }
 
-  if (repoName) {
-    return app.getInstallationAccessToken({
-      installationId: await getRepoInstallID(repoName),
-    });
+  if (latestInstallationId === installationId) {
+    throw error;
   }
 
-  return GH_TOKEN;
+  REPO_INSTALL_IDS.set(repoName, latestInstallationId);
+  options.headers.authorization = `token ${await app.getInstallationAccessToken(
+    {installationId: latestInstallationId},
+  )}`;
+  return request(options);
+}
+
+/**
+ * If the request is tied to a repo, it's authorized with a token from
+ * the app's installation; otherwise it falls back to the github user
+ * token (GH_TOKEN)
+ *
+ * @param {import('@octokit/rest').RequestOptions} endpoint
+ * @returns {string | void}
+ */
+function getRepoName(endpoint) {
+  if (endpoint.url === GRAPHQL_URL) {
+    return getGraphQLRepoName(
+      get(endpoint, 'body.query') || '',
+      get(endpoint, 'body.variables') || {},
+    );
+  }
+
+  const match = REST_REPO_PATTERN.exec(endpoint.url.replace(API_URL, ''));
+
+  if (match) {
+    return match[1];
+  }
+}
+
+/**
+ * @param {string} query
+ * @param {Object<string, *>} variables
+ * @returns {string | void} repo from the query's `repository` field
+ */
+function getGraphQLRepoName(query, variables) {
+  const match = GRAPHQL_REPOSITORY_PATTERN.exec(query);
+
+  if (!match) return;
+
+  const args = {};
+  let argMatch;
+
+  GRAPHQL_ARG_PATTERN.lastIndex = 0;
+
+  while ((argMatch = GRAPHQL_ARG_PATTERN.exec(match[1]))) {
+    const [, argName, variableName, literal] = argMatch;
+
+    args[argName] = variableName ? variables[variableName] : literal;
+  }
+
+  if (args.owner && args.name) {
+    return `${args.owner}/${args.name}`;
+  }
 }
 
 /**
  * @param {string} repoName
- * @returns {number}
+ * @returns {Promise<number>}
  */
 async function getRepoInstallID(repoName) {
   if (REPO_INSTALL_IDS.has(repoName)) {
     return REPO_INSTALL_IDS.get(repoName);
   } else {
-    const {
-      data: {id},
-    } = await request('GET /repos/:repoName/installation', {
-      repoName,
-      headers: {
-        authorization: `Bearer ${app.getSignedJsonWebToken()}`,
-        accept: 'application/vnd.github.machine-man-preview+json',
-      },
-    });
+    const id = await fetchRepoInstallID(repoName);
 
     REPO_INSTALL_IDS.set(repoName, id);
     return id;
   }
 }
+
+/**
+ * @param {string} repoName
+ * @returns {Promise<number>} the app's current installation ID for
+ *   the repo, bypassing the cache
+ */
+async function fetchRepoInstallID(repoName) {
+  const {
+    data: {id},
+  } = await request('GET /repos/:repoName/installation', {
+    baseUrl: API_URL,
+    repoName,
+    headers: {
+      authorization: `Bearer ${app.getSignedJsonWebToken()}`,
+      accept: 'application/vnd.github.machine-man-preview+json',
+    },
+  });
+
+  return id;
+}
+
+/**
+ * Forget cached installation IDs, e.g. after the app is uninstalled
+ * or its repos change
+ *
+ * @param {{
+ *   installationId?: number,
+ *   repoNames?: string[],
+ * }} [opts] clears everything when omitted
+ */
+function clearInstallIDs(opts) {
+  if (!opts) {
+    REPO_INSTALL_IDS.clear();
+    return;
+  }
+
+  const {installationId, repoNames = []} = opts;
+
+  for (const [repoName, id] of REPO_INSTALL_IDS) {
+    if (id === installationId || repoNames.includes(repoName)) {
+      REPO_INSTALL_IDS.delete(repoName);
+    }
+  }
+}
+
+/**
+ * @returns {Object<string, number>} installation IDs cached so far,
+ *   by repo name
+ */
+function getCachedInstallIDs() {
+  return [...REPO_INSTALL_IDS].reduce((result, [repoName, id]) => {
+    result[repoName] = id;
+    return result;
+  }, {});
+}
+
+/**
+ * Verify both ways of authenticating with GitHub work: as the app
+ * (JWT) and as the github user (GH_TOKEN)
+ *
+ * @returns {Promise<Object<'jwt' | 'token', {
+ *   ok: boolean,
+ *   error?: string,
+ * }>>}
+ */
+async function checkAuth() {
+  const check = async fn => {
+    try {
+      await fn();
+      return {ok: true};
+    } catch (error) {
+      return {ok: false, error: error.message};
+    }
+  };
+  const [jwt, token] = await Promise.all([
+    check(() =>
+      request('GET /app', {
+        baseUrl: API_URL,
+        headers: {
+          authorization: `Bearer ${app.getSignedJsonWebToken()}`,
+          accept: 'application/vnd.github.machine-man-preview+json',
+        },
+      }),
+    ),
+    check(() => {
+      if (!GH_TOKEN) {
+        throw new Error('`GH_TOKEN` is not set');
+      }
+
+      return request('GET /user', {
+        baseUrl: API_URL,
+        headers: {authorization: `token ${GH_TOKEN}`},
+      });
+    }),
+  ]);
+
+  return {jwt, token};
+}
+
+module.exports.checkAuth = checkAuth;
+module.exports.clearInstallIDs = clearInstallIDs;
+module.exports.getCachedInstallIDs = getCachedInstallIDs;
+// exported for tests
+module.exports.getRepoName = getRepoName;
@@ -0,0 +1,174 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nock = require('nock');
+const Octokit = require('@octokit/rest');
+
+process.env.APP_ID = '123';
+process.env.GH_TOKEN = 'user-token';
+process.env.PRIVATE_KEY = fs.readFileSync(
+  path.resolve(__dirname, '__fixtures__/mock-cert.pem'),
+  'utf-8',
+);
+
+const OctokitAuthPlugin = require('./OctokitAuthPlugin.js');
+
+const {clearInstallIDs, getCachedInstallIDs, getRepoName} = OctokitAuthPlugin;
+
+nock.disableNetConnect();
+// nock patches `http` for every test file run in the same process
+afterAll(() => nock.restore());
+afterEach(() => {
+  nock.cleanAll();
+  clearInstallIDs();
+});
+
+const octokit = new (Octokit.plugin(OctokitAuthPlugin))();
+
+function mockInstallation(repoName, installationId) {
+  return nock('https://api.github.com')
+    .get(`/repos/${repoName}/installation`)
+    .reply(200, {id: installationId})
+    .post(`/app/installations/${installationId}/access_tokens`)
+    .reply(201, {
+      token: `token-${installationId}`,
+      expires_at: new Date(Date.now() + 3600000).toISOString(),
+    });
+}
+
+test('getRepoName', () => {
+  const graphql = (query, variables) => ({
+    method: 'POST',
+    url: 'https://api.github.com/graphql',
+    body: {query, variables},
+  });
+
+  expect(
+    getRepoName({
+      method: 'GET',
+      url: 'https://api.github.com/repos/My-Org_1/repo.js/pulls/1',
+    }),
+  ).toBe('My-Org_1/repo.js');
+  expect(
+    getRepoName({method: 'GET', url: 'https://api.github.com/repos/org/Repo'}),
+  ).toBe('org/Repo');
+  expect(
+    getRepoName({method: 'GET', url: 'https://api.github.com/user'}),
+  ).toBeUndefined();
+  expect(
+    getRepoName(
+      graphql(
+        'query($login: String!, $repoName: String!) { repository(name: $repoName, owner: $login) { id } }',
+        {login: 'Org', repoName: 'Repo_2'},
+      ),
+    ),
+  ).toBe('Org/Repo_2');
+  expect(
+    getRepoName(graphql('{ repository(owner: "org", name: "repo") { id } }')),
+  ).toBe('org/repo');
+  expect(getRepoName(graphql('{ viewer { login } }'))).toBeUndefined();
+});
+
+test('Authorizes requests', async () => {
+  mockInstallation('Org/Repo_1', 1);
+  nock('https://api.github.com', {
+    reqheaders: {authorization: 'token token-1'},
+  })
+    .get('/repos/Org/Repo_1/pulls/1')
+    .reply(200, {});
+  nock('https://api.github.com', {
+    reqheaders: {authorization: 'token user-token'},
+  })
+    .get('/user')
+    .reply(200, {});
+
+  await octokit.request('GET /repos/:repoName/pulls/1', {
+    repoName: 'Org/Repo_1',
+  });
+  await octokit.request('GET /user');
+
+  expect(getCachedInstallIDs()).toEqual({'Org/Repo_1': 1});
+
+  clearInstallIDs({installationId: 1});
+  expect(getCachedInstallIDs()).toEqual({});
+});
+
+test('Retries once with a new installation ID', async () => {
+  mockInstallation('org/repo', 1);
+  mockInstallation('org/repo', 2);
+  nock('https://api.github.com', {
+    reqheaders: {authorization: 'token token-1'},
+  })
+    .get('/repos/org/repo/pulls/1')
+    .reply(401, {message: 'Bad credentials'});
+  nock('https://api.github.com', {
+    reqheaders: {authorization: 'token token-2'},
+  })
+    .get('/repos/org/repo/pulls/1')
+    .reply(200, {number: 1});
+
+  const {data} = await octokit.request('GET /repos/:repoName/pulls/1', {
+    repoName: 'org/repo',
+  });
+
+  expect(data).toEqual({number: 1});
+  expect(getCachedInstallIDs()).toEqual({'org/repo': 2});
+
+  // same installation, so the error isn't due to a stale ID
+  nock('https://api.github.com')
+    .get('/repos/org/repo/pulls/2')
+    .reply(401, {message: 'Bad credentials'})
+    .get('/repos/org/repo/installation')
+    .reply(200, {id: 2});
+
+  await expect(
+    octokit.request('GET /repos/:repoName/pulls/2', {repoName: 'org/repo'}),
+  ).rejects.toMatchObject({status: 401});
+  expect(getCachedInstallIDs()).toEqual({'org/repo': 2});
+});
+
+test("Doesn't check the installation after a 404", async () => {
+  mockInstallation('org/repo', 3);
+  // e.g. `.github/usync.yml` not found
+  nock('https://api.github.com')
+    .get('/repos/org/repo/contents/.github/usync.yml')
+    .reply(404, {message: 'Not Found'});
+
+  const installationScope = nock('https://api.github.com')
+    .get('/repos/org/repo/installation')
+    .reply(200, {id: 4});
+
+  await expect(
+    octokit.request('GET /repos/:repoName/contents/.github/usync.yml', {
+      repoName: 'org/repo',
+    }),
+  ).rejects.toMatchObject({status: 404});
+  expect(installationScope.isDone()).toBe(false);
+  expect(getCachedInstallIDs()).toEqual({'org/repo': 3});
+});
+
+test('Retries when the installation was deleted', async () => {
+  nock('https://api.github.com')
+    .get('/repos/org/repo/installation')
+    .reply(200, {id: 5})
+    .post('/app/installations/5/access_tokens')
+    .reply(404, {message: 'Not Found'});
+  mockInstallation('org/repo', 6);
+  nock('https://api.github.com', {
+    reqheaders: {authorization: 'token token-6'},
+  })
+    .get('/repos/org/repo/pulls/1')
+    .reply(200, {number: 1});
+
+  const {data} = await octokit.request('GET /repos/:repoName/pulls/1', {
+    repoName: 'org/repo',
+  });
+
+  expect(data).toEqual({number: 1});
+  expect(getCachedInstallIDs()).toEqual({'org/repo': 6});
+});
@@ -0,0 +1,162 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {endpoint: createEndpoint} = require('@octokit/endpoint');
+
+const DEFAULT_OPTIONS = {
+  // delay before the first retry of a request without a `Retry-After`
+  // or `X-RateLimit-Reset` header; doubled for each retry after that
+  baseDelay: 1000,
+  maxRetries: 3,
+  // fail instead of waiting longer than this for a rate limit to reset
+  maxDelay: 5 * 60 * 1000,
+};
+
+// a server error may be returned after GitHub already made the change
+// (e.g. created a comment), so only requests that can safely be
+// repeated are retried. Rate limited requests are never carried out
+const IDEMPOTENT_METHODS = ['DELETE', 'GET', 'HEAD', 'PUT'];
+
+/**
+ * Thrown once a request can't be retried anymore, with a message
+ * suitable for showing in pull request comments
+ */
+class GitHubRequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {Error & {status?: number}} cause the last request error
+   */
+  constructor(message, cause) {
+    super(message);
+    this.name = 'GitHubRequestError';
+    this.cause = cause;
+    this.status = cause.status;
+  }
+}
+
+/**
+ * @param {Error & {
+ *   headers?: Object<string, string>,
+ *   status?: number,
+ * }} error
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  const headers = error.headers || {};
+
+  return (
+    error.status === 429 ||
+    (error.status === 403 &&
+      (headers['x-ratelimit-remaining'] === '0' ||
+        Boolean(headers['retry-after']) ||
+        /\b(abuse|rate limit)\b/i.test(error.message)))
+  );
+}
+
+/**
+ * @param {string} method e.g. `GET`
+ * @param {*} options request options
+ * @returns {boolean} whether repeating the request is safe
+ */
+function isIdempotent(method, options) {
+  return (
+    IDEMPOTENT_METHODS.includes(method) ||
+    // GraphQL queries are sent as `POST`s, but only read data
+    (typeof options.query === 'string' && !/^\s*mutation\b/.test(options.query))
+  );
+}
+
+/**
+ * @param {Error & {
+ *   headers?: Object<string, string>,
+ *   status?: number,
+ * }} error
+ * @param {boolean} idempotent whether the request is safe to repeat
+ * @param {number} retryCount retries so far
+ * @param {typeof DEFAULT_OPTIONS} opts
+ * @returns {number | void} ms to wait before retrying; void if the
+ *   request shouldn't be retried
+ */
+function getRetryDelay(error, idempotent, retryCount, opts) {
+  if (!((idempotent && error.status >= 500) || isRateLimitError(error))) {
+    return;
+  }
+
+  const headers = error.headers || {};
+
+  if (headers['retry-after']) {
+    return parseInt(headers['retry-after']) * 1000;
+  }
+
+  if (
+    headers['x-ratelimit-remaining'] === '0' &&
+    headers['x-ratelimit-reset']
+  ) {
+    return Math.max(
+      parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now(),
+      0,
+    );
+  }
+
+  return opts.baseDelay * Math.pow(2, retryCount);
+}
+
+/**
+ * Retry requests that failed due to rate limits, or server errors (5xx)
+ * for idempotent methods, honoring `Retry-After` and `X-RateLimit-Reset`. Configure
+ * with the `backoff` option
+ *
+ * @type {import('@octokit/rest').Plugin}
+ */
+module.exports = function OctokitRetryPlugin(octokit, octokitOptions = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...octokitOptions.backoff};
+  const {logger} = octokitOptions;
+
+  octokit.hook.wrap('request', async (request, options) => {
+    const {method, url} = createEndpoint(options);
+    const route = `${method} ${url.replace(/^https?:\/\/[^/]+/, '')}`;
+    const idempotent = isIdempotent(method, options);
+
+    for (let retryCount = 0; ; retryCount++) {
+      try {
+        return await request(options);
+      } catch (error) {
+        const delay = getRetryDelay(error, idempotent, retryCount, opts);
+
+        if (delay === undefined) {
+          throw error;
+        }
+
+        if (retryCount >= opts.maxRetries) {
+          throw new GitHubRequestError(
+            `GitHub request \`${route}\` failed after ${retryCount +
+              1} attempts: ${error.status} ${error.message}`,
+            error,
+          );
+        }
+
+        if (delay > opts.maxDelay) {
+          throw new GitHubRequestError(
+            `GitHub rate limit exceeded for \`${route}\`; it resets at ${new Date(
+              Date.now() + delay,
+            ).toISOString()}`,
+            error,
+          );
+        }
+
+        if (logger) {
+          logger.warn(
+            `GitHub request ${route} failed with ${error.status}, retrying in ${delay}ms`,
+          );
+        }
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  });
+};
+
+module.exports.GitHubRequestError = GitHubRequestError;
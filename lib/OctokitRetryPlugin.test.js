@@ -0,0 +1,140 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const nock = require('nock');
+const Octokit = require('@octokit/rest');
+const OctokitRetryPlugin = require('./OctokitRetryPlugin.js');
+
+const {GitHubRequestError} = OctokitRetryPlugin;
+
+nock.disableNetConnect();
+// nock patches `http` for every test file run in the same process
+afterAll(() => nock.restore());
+
+const octokit = new (Octokit.plugin(OctokitRetryPlugin))({
+  backoff: {baseDelay: 1, maxDelay: 1000},
+});
+
+function request() {
+  return octokit.request('POST /repos/:repoName/issues/:number/comments', {
+    repoName: 'org/test-repo',
+    number: 1,
+    body: 'foo',
+  });
+}
+
+function getRequest() {
+  return octokit.request('GET /repos/:repoName/issues/:number/comments', {
+    repoName: 'org/test-repo',
+    number: 1,
+  });
+}
+
+afterEach(() => nock.cleanAll());
+
+test('Retries server errors', async () => {
+  const scope = nock('https://api.github.com')
+    .get('/repos/org/test-repo/issues/1/comments')
+    .times(2)
+    .reply(502)
+    .get('/repos/org/test-repo/issues/1/comments')
+    .reply(200, [{id: 1}]);
+
+  expect((await getRequest()).data).toEqual([{id: 1}]);
+  expect(scope.isDone()).toBe(true);
+});
+
+test("Doesn't retry server errors for non-idempotent requests", async () => {
+  const scope = nock('https://api.github.com')
+    .post('/repos/org/test-repo/issues/1/comments')
+    .reply(502, {message: 'Bad Gateway'})
+    .post('/repos/org/test-repo/issues/1/comments')
+    .reply(201, {id: 1});
+
+  const error = await request().catch(e => e);
+
+  expect(error).not.toBeInstanceOf(GitHubRequestError);
+  expect(error.status).toBe(502);
+  // the comment may have been created anyway
+  expect(scope.isDone()).toBe(false);
+});
+
+test('Retries server errors for GraphQL queries', async () => {
+  const scope = nock('https://api.github.com')
+    .post('/graphql')
+    .reply(502)
+    .post('/graphql')
+    .reply(200, {data: {viewer: {login: 'usync'}}});
+  const {data} = await octokit.request('POST /graphql', {
+    query: 'query { viewer { login } }',
+  });
+
+  expect(data).toEqual({data: {viewer: {login: 'usync'}}});
+  expect(scope.isDone()).toBe(true);
+});
+
+test('Fails with a clear error after retrying', async () => {
+  nock('https://api.github.com')
+    .get('/repos/org/test-repo/issues/1/comments')
+    .times(4)
+    .reply(502, {message: 'Bad Gateway'});
+
+  const error = await getRequest().catch(e => e);
+
+  expect(error).toBeInstanceOf(GitHubRequestError);
+  expect(error.status).toBe(502);
+  expect(error.message).toBe(
+    'GitHub request `GET /repos/org/test-repo/issues/1/comments` failed after 4 attempts: 502 Bad Gateway',
+  );
+});
+
+test('Retries rate limits', async () => {
+  const scope = nock('https://api.github.com')
+    .post('/repos/org/test-repo/issues/1/comments')
+    .reply(
+      403,
+      {message: 'You have exceeded a secondary rate limit.'},
+      {'retry-after': '0'},
+    )
+    .post('/repos/org/test-repo/issues/1/comments')
+    .reply(
+      403,
+      {message: 'API rate limit exceeded'},
+      {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(Math.floor(Date.now() / 1000)),
+      },
+    )
+    .post('/repos/org/test-repo/issues/1/comments')
+    .reply(201, {id: 1});
+
+  expect((await request()).data).toEqual({id: 1});
+  expect(scope.isDone()).toBe(true);
+
+  nock('https://api.github.com')
+    .post('/repos/org/test-repo/issues/1/comments')
+    .reply(
+      403,
+      {message: 'API rate limit exceeded'},
+      {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600),
+      },
+    );
+
+  await expect(request()).rejects.toThrow(/^GitHub rate limit exceeded/);
+});
+
+test("Doesn't retry client errors", async () => {
+  nock('https://api.github.com')
+    .post('/repos/org/test-repo/issues/1/comments')
+    .reply(403, {message: 'Resource not accessible by integration'});
+
+  const error = await request().catch(e => e);
+
+  expect(error).not.toBeInstanceOf(GitHubRequestError);
+  expect(error.status).toBe(403);
+});
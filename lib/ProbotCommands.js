@@ -4,18 +4,228 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+const lang = require('./lang.js');
+
 /**
  * @typedef {{
  *   github: *,
  *   payload: import('@octokit/webhooks').WebhookPayloadIssueComment,
  * }} ProbotContextType
+ *
+ * @typedef {{
+ *   description?: string,
+ *   type: 'boolean' | 'string',
+ * }} CommandFlagOpt
+ *
+ * @typedef {{
+ *   description?: string,
+ *   flags?: Object<string, CommandFlagOpt>,
+ *   hidden?: boolean,
+ *   lock?: boolean,
+ *   permission?: 'admin' | 'read' | 'write',
+ * }} CommandOpts
+ *
+ * @typedef {{
+ *   args: string[],
+ *   flags: Object<string, boolean | string>,
+ * }} CommandArgs
+ */
+
+// ordered from least to most access
+const PERMISSION_LEVELS = ['none', 'read', 'write', 'admin'];
+
+// number of webhook deliveries and comments remembered for
+// deduplication
+const MAX_REMEMBERED = 1000;
+
+/**
+ * @param {Map<*, *>} map
+ * @param {*} key
+ * @param {*} value
+ */
+function remember(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+
+  // maps iterate in insertion order, so the first key is the oldest
+  if (map.size > MAX_REMEMBERED) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+/**
+ * @param {string} userPermission
+ * @param {string} requiredPermission
+ * @returns {boolean}
+ */
+function hasPermission(userPermission, requiredPermission) {
+  return (
+    PERMISSION_LEVELS.indexOf(userPermission) >=
+    PERMISSION_LEVELS.indexOf(requiredPermission)
+  );
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} number of single-character edits between `a` and `b`
+ */
+function editDistance(a, b) {
+  let previousRow = Array.from({length: b.length + 1}, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previousRow[j] + 1,
+        row[j - 1] + 1,
+        previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+
+    previousRow = row;
+  }
+
+  return previousRow[b.length];
+}
+
+/**
+ * @param {string} commentBody
+ * @returns {string[]} trimmed lines that could be commands (starting
+ *   with `!`), outside code blocks. Quoted replies are ignored since
+ *   they won't start with the command
+ */
+function getCommandLines(commentBody) {
+  const lines = [];
+  let inCodeBlock = false;
+
+  for (const line of commentBody.split(/\r\n|\r|\n/)) {
+    const trimmed = line.trim();
+
+    if (/^(`{3,}|~{3,})/.test(trimmed)) {
+      inCodeBlock = !inCodeBlock;
+    } else if (!inCodeBlock && trimmed.startsWith('!')) {
+      lines.push(trimmed);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * @param {string} commentBody
+ * @returns {boolean} whether the comment has a line that looks like a
+ *   command (registered or not), which may be run
+ */
+function hasCommandLine(commentBody) {
+  return getCommandLines(commentBody).some(line => /^![\w-]+/.test(line));
+}
+
+/**
+ * Split a command line into whitespace-separated tokens; quotes
+ * group text containing whitespace (e.g. `--reason="some reason"`).
+ * Single quotes only start a quote at the start of a token or flag
+ * value, so apostrophes (e.g. `it's down`) are kept as text
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function tokenize(line) {
+  const tokens = [];
+  let token = null;
+  let quote = null;
+
+  for (const char of line) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        token += char;
+      }
+    } else if (
+      char === '"' ||
+      (char === "'" && (token === null || /^--[^=]+=$/.test(token)))
+    ) {
+      quote = char;
+      token = token || '';
+    } else if (/\s/.test(char)) {
+      if (token !== null) {
+        tokens.push(token);
+        token = null;
+      }
+    } else {
+      token = (token || '') + char;
+    }
+  }
+
+  if (token !== null) {
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * @param {string[]} tokens command arguments (excluding the command)
+ * @param {Object<string, CommandFlagOpt>} flagOpts
+ * @returns {CommandArgs & {
+ *   error?: string,
+ * }}
  */
+function parseArgs(tokens, flagOpts) {
+  const result = {args: [], flags: {}};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (!token.startsWith('--') || token === '--') {
+      result.args.push(token);
+      continue;
+    }
+
+    const [name, ...valueParts] = token.slice(2).split('=');
+    const hasValue = valueParts.length > 0;
+    const flagOpt = flagOpts[name];
+
+    if (!flagOpt) {
+      return {...result, error: lang.error_unknownCommandFlag(name)};
+    }
+
+    if (flagOpt.type === 'boolean') {
+      if (hasValue) {
+        return {...result, error: lang.error_commandFlagNoValue(name)};
+      }
+
+      result.flags[name] = true;
+    } else if (hasValue) {
+      result.flags[name] = valueParts.join('=');
+    } else if (i + 1 < tokens.length && !tokens[i + 1].startsWith('--')) {
+      result.flags[name] = tokens[++i];
+    } else {
+      return {...result, error: lang.error_commandFlagValueRequired(name)};
+    }
+  }
+
+  return result;
+}
 
 module.exports = class ProbotCommands {
   /**
    * Convenience listeners for pull request comment commands
    * (e.g. commenting `!import`)
    *
+   * A command must be on its own line, but can appear anywhere in
+   * the comment. Arguments may follow the command on the same line
+   *
+   * A `!help` command listing all registered commands is built in,
+   * and unrecognized commands get a reply suggesting similar ones
+   *
+   * Each command runs at most once per comment: redelivered webhooks
+   * are ignored, and so are edits unless they change the command
+   * line. Only one command runs on a pull request at a time; others
+   * get an "already running" reply
+   *
    * @param {import('probot').Application} probotApp
    * @example
    * // your probot app
@@ -30,25 +240,212 @@ module.exports = class ProbotCommands {
    *   commands.on(['!close', '!c'], async (context, command) => {
    *     // `command` is the command name that was used
    *   })
+   *
+   *   // arguments (e.g. `!deploy staging --force --region=us-east`)
+   *   commands.on('!deploy', async (context, command, {args, flags}) => {
+   *     // args: ['staging']
+   *     // flags: {force: true, region: 'us-east'}
+   *   }, {
+   *     flags: {
+   *       force: {type: 'boolean'},
+   *       region: {type: 'string'},
+   *     },
+   *   })
+   *
+   *   // shown in `!help`
+   *   commands.on('!close', handler, {
+   *     description: 'Close this pull request',
+   *     // minimum repo permission required; defaults to 'write'
+   *     permission: 'admin',
+   *   })
+   *
+   *   // may run while another command is running on the same pull
+   *   // request
+   *   commands.on('!status', handler, {lock: false})
    * }
    */
   constructor(probotApp) {
     this._commands = new Map();
+    this._registrations = [];
+    // delivery ID -> true
+    this._handledDeliveries = new Map();
+    // comment ID -> command line it last triggered
+    this._handledComments = new Map();
+    // `org/repo#1` -> command running on the pull request
+    this._runningCommands = new Map();
 
     probotApp.on(
       ['issue_comment.created', 'issue_comment.edited'],
       this._handleWebhooks.bind(this),
     );
+
+    this.on('!help', context => this._reply(context, this.getHelp()), {
+      description: 'List available commands',
+      lock: false,
+      permission: 'read',
+    });
+  }
+
+  /**
+   * @returns {string} markdown list of registered commands
+   */
+  getHelp() {
+    return lang.notify_help(
+      this._registrations
+        .filter(({opts}) => !opts.hidden)
+        .map(({commands, opts}) => ({
+          commands,
+          description: opts.description,
+          flags: opts.flags || {},
+          permission: opts.permission || 'write',
+        })),
+    );
+  }
+
+  /**
+   * @param {string} command unregistered command
+   * @returns {string | void} closest registered command, if any are
+   *   similar enough
+   */
+  _getSuggestedCommand(command) {
+    let suggestion;
+    let minDistance = Infinity;
+
+    for (const [registeredCommand, {opts}] of this._commands) {
+      if (opts.hidden) continue;
+
+      const distance = editDistance(
+        command.toLowerCase(),
+        registeredCommand.toLowerCase(),
+      );
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        suggestion = registeredCommand;
+      }
+    }
+
+    // allow up to 2 typos, or 1 for short commands
+    if (minDistance <= (command.length > 4 ? 2 : 1)) {
+      return suggestion;
+    }
+  }
+
+  /**
+   * @param {ProbotContextType} context
+   * @param {string} body
+   * @returns {Promise<*>}
+   */
+  async _reply(context, body) {
+    const {issue, repository} = context.payload;
+
+    return context.github.request(
+      'POST /repos/:repoName/issues/:number/comments',
+      {
+        repoName: repository.full_name,
+        number: issue.number,
+        data: {body},
+      },
+    );
   }
 
+  /**
+   * @param {string} commentBody
+   * @returns {{
+   *   command: string,
+   *   isRegistered: boolean,
+   *   suggestedCommand?: string,
+   *   tokens: string[],
+   * } | void} the first registered command, otherwise the first
+   *   near-miss of one (e.g. `!lnad`). Other unregistered commands are
+   *   ignored, since comments may start with `!` for other reasons
+   */
   _getCommentCommand(commentBody) {
-    commentBody = commentBody.replace(/\r\n|\r|\n/g, '').trim();
+    let unregistered;
 
-    for (const [command] of this._commands) {
-      if (commentBody === command) {
-        return command;
+    for (const line of getCommandLines(commentBody)) {
+      const [command, ...tokens] = tokenize(line);
+
+      if (this._commands.has(command)) {
+        return {command, isRegistered: true, tokens};
+      } else if (!unregistered && /^![\w-]+$/.test(command)) {
+        const suggestedCommand = this._getSuggestedCommand(command);
+
+        if (suggestedCommand) {
+          unregistered = {
+            command,
+            isRegistered: false,
+            suggestedCommand,
+            tokens,
+          };
+        }
       }
     }
+
+    return unregistered;
+  }
+
+  /**
+   * @param {ProbotContextType & {id?: string}} context
+   * @param {{command: string, tokens: string[]}} match
+   * @returns {boolean} whether the command was already handled, or
+   *   is unchanged by an edit
+   */
+  _isDuplicate(context, {command, tokens}) {
+    const {action, changes, comment} = context.payload;
+    const commandLine = [command, ...tokens].join(' ');
+
+    if (context.id) {
+      if (this._handledDeliveries.has(context.id)) {
+        return true;
+      }
+
+      remember(this._handledDeliveries, context.id, true);
+    }
+
+    if (this._handledComments.get(comment.id) === commandLine) {
+      return true;
+    }
+
+    remember(this._handledComments, comment.id, commandLine);
+
+    if (action === 'edited' && changes && changes.body) {
+      const previous = this._getCommentCommand(changes.body.from);
+
+      return Boolean(
+        previous &&
+          [previous.command, ...previous.tokens].join(' ') === commandLine,
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * @param {ProbotContextType} context
+   * @param {string} command
+   * @param {() => Promise<*>} run
+   * @returns {Promise<*>}
+   */
+  async _runLocked(context, command, run) {
+    const {issue, repository} = context.payload;
+    const key = `${repository.full_name}#${issue.number}`;
+    const runningCommand = this._runningCommands.get(key);
+
+    if (runningCommand) {
+      return this._reply(
+        context,
+        lang.error_commandRunning(command, runningCommand),
+      );
+    }
+
+    this._runningCommands.set(key, command);
+
+    try {
+      return await run();
+    } finally {
+      this._runningCommands.delete(key);
+    }
   }
 
   /**
@@ -60,9 +457,10 @@ module.exports = class ProbotCommands {
     const {user} = comment;
 
     if (issue.pull_request && issue.state === 'open' && user.type === 'User') {
-      const command = this._getCommentCommand(comment.body);
+      const match = this._getCommentCommand(comment.body);
 
-      if (command) {
+      if (match && !this._isDuplicate(context, match)) {
+        const {command, isRegistered, suggestedCommand, tokens} = match;
         const {
           data: {permission: userPermission},
         } = await github.request(
@@ -73,9 +471,36 @@ module.exports = class ProbotCommands {
           },
         );
 
-        if (userPermission === 'admin' || userPermission === 'write') {
-          const handler = this._commands.get(command);
-          return handler(context, command);
+        if (!isRegistered) {
+          if (hasPermission(userPermission, 'read')) {
+            return this._reply(
+              context,
+              lang.error_unknownCommand(command, suggestedCommand),
+            );
+          }
+
+          return;
+        }
+
+        const {handler, opts} = this._commands.get(command);
+
+        if (hasPermission(userPermission, opts.permission || 'write')) {
+          const {error, ...parsedArgs} = parseArgs(tokens, opts.flags || {});
+
+          if (error) {
+            return this._reply(
+              context,
+              lang.error_invalidCommandArgs(command, error, opts.flags || {}),
+            );
+          }
+
+          if (opts.lock === false) {
+            return handler(context, command, parsedArgs);
+          }
+
+          return this._runLocked(context, command, () =>
+            handler(context, command, parsedArgs),
+          );
         }
       }
     }
@@ -83,16 +508,24 @@ module.exports = class ProbotCommands {
 
   /**
    * @param {string | Array<string>} commands
-   * @param {(context: ProbotContextType, command: string) => Promise<*>} handler
+   * @param {(context: ProbotContextType, command: string, args: CommandArgs) => Promise<*>} handler
+   * @param {CommandOpts} [opts]
    * @returns {void}
    */
-  on(commands, handler) {
+  on(commands, handler, opts = {}) {
     if (typeof commands === 'string') {
       commands = [commands];
     }
 
+    this._registrations.push({commands, opts});
     for (const command of commands) {
-      this._commands.set(command, handler);
+      this._commands.set(command, {handler, opts});
     }
   }
 };
+
+module.exports.hasCommandLine = hasCommandLine;
+// exported for tests
+module.exports.editDistance = editDistance;
+module.exports.parseArgs = parseArgs;
+module.exports.tokenize = tokenize;
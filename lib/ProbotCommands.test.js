@@ -13,7 +13,11 @@ const commentCreatedFixture = require('./__fixtures__/issue_comment.created.json
 const permissionFixture = require('./__fixtures__/permission.json');
 const ProbotCommands = require('./ProbotCommands.js');
 
+const {editDistance, hasCommandLine, parseArgs} = ProbotCommands;
+
 nock.disableNetConnect();
+// nock patches `http` for every test file run in the same process
+afterAll(() => nock.restore());
 
 const fixtures = {
   comment: extend(true, {}, commentCreatedFixture, {
@@ -37,6 +41,23 @@ const fixtures = {
   },
 };
 
+let lastCommentId = 0;
+
+/**
+ * @param {*} [fields] overrides for `fixtures.comment`
+ * @returns {*} payload for a new comment; commands only run once
+ *   per comment
+ */
+function newComment(fields = {}) {
+  return extend(
+    true,
+    {},
+    fixtures.comment,
+    {comment: {id: ++lastCommentId}},
+    fields,
+  );
+}
+
 function createProbot(entry) {
   // ref: https://github.com/probot/create-probot-app/blob/de9078d/templates/basic-js/test/fixtures/mock-cert.pem
   const cert = fs.readFileSync(
@@ -60,7 +81,7 @@ test('Triggers commands', async () => {
     commands.on('!foo', async () => triggerCount++);
   });
 
-  async function runCommandTest(permissionFixture, commentFixture) {
+  async function runCommandTest(permissionFixture, commentFixture, id) {
     nock('https://api.github.com')
       .get('/repos/org/test-repo/collaborators/test-user/permission')
       .reply(200, () => {
@@ -68,6 +89,7 @@ test('Triggers commands', async () => {
         return permissionFixture;
       });
     await probot.receive({
+      id,
       name: 'issue_comment',
       payload: commentFixture,
     });
@@ -75,43 +97,134 @@ test('Triggers commands', async () => {
 
   // SHOULD NOT trigger
   // SHOULD make permissions request
-  await runCommandTest(fixtures.permission.read, fixtures.comment);
+  await runCommandTest(fixtures.permission.read, newComment());
 
   // SHOULD NOT trigger
   // SHOULD NOT make permissions request
   await runCommandTest(
     fixtures.permission.admin,
-    extend(true, {}, fixtures.comment, {
-      comment: {body: 'bar'},
-    }),
+    newComment({comment: {body: 'bar'}}),
   );
 
   // SHOULD NOT trigger
   // SHOULD NOT make permissions request
   await runCommandTest(
     fixtures.permission.admin,
-    extend(true, {}, fixtures.comment, {
-      issue: {state: 'closed'},
+    newComment({issue: {state: 'closed'}}),
+  );
+
+  // SHOULD trigger
+  // SHOULD make permissions request
+  const comment = newComment();
+  await runCommandTest(fixtures.permission.admin, comment, 'delivery-1');
+
+  // redelivered
+  // SHOULD NOT trigger
+  // SHOULD NOT make permissions request
+  await runCommandTest(fixtures.permission.admin, comment, 'delivery-1');
+  await runCommandTest(fixtures.permission.admin, comment, 'delivery-2');
+
+  // edited without changing the command
+  // SHOULD NOT trigger
+  // SHOULD NOT make permissions request
+  await runCommandTest(
+    fixtures.permission.admin,
+    extend(true, {}, comment, {
+      action: 'edited',
+      changes: {body: {from: comment.comment.body}},
+      comment: {body: `Typo fixed\n\n${comment.comment.body}`},
     }),
   );
 
+  // edited to change the command
   // SHOULD trigger
   // SHOULD make permissions request
-  await runCommandTest(fixtures.permission.admin, fixtures.comment);
+  await runCommandTest(
+    fixtures.permission.admin,
+    extend(true, {}, comment, {
+      action: 'edited',
+      changes: {body: {from: comment.comment.body}},
+      comment: {body: '!foo bar'},
+    }),
+  );
 
+  // edited to add a command
   // SHOULD trigger
   // SHOULD make permissions request
   await runCommandTest(
     fixtures.permission.admin,
-    extend({}, fixtures.comment, {
+    newComment({
+      action: 'edited',
+      changes: {body: {from: 'bar'}},
+    }),
+  );
+
+  // edited without `changes`, e.g. after a restart
+  // SHOULD NOT trigger
+  // SHOULD NOT make permissions request
+  await runCommandTest(
+    fixtures.permission.admin,
+    extend(true, {}, comment, {
       action: 'edited',
+      comment: {body: '!foo bar'},
     }),
   );
 
-  expect(triggerCount).toBe(2);
+  expect(triggerCount).toBe(3);
   // should only request for permissions if the comment has
   // a command that matches and the issue is open
-  expect(permissionRequestCount).toBe(3);
+  expect(permissionRequestCount).toBe(4);
+  nock.cleanAll();
+});
+
+test('Runs one command per pull request at a time', async () => {
+  const replies = [];
+  const calls = [];
+  let finishFoo;
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app);
+    commands.on('!foo', async () => {
+      calls.push('!foo');
+      await new Promise(resolve => (finishFoo = resolve));
+    });
+    commands.on('!bar', async () => calls.push('!bar'));
+    commands.on('!baz', async () => calls.push('!baz'), {lock: false});
+  });
+
+  async function triggerComment(body, issueNumber = 1) {
+    nock('https://api.github.com')
+      .get('/repos/org/test-repo/collaborators/test-user/permission')
+      .reply(200, fixtures.permission.admin)
+      .post(`/repos/org/test-repo/issues/${issueNumber}/comments`, body => {
+        replies.push(body.body);
+        return true;
+      })
+      .reply(200);
+    await probot.receive({
+      name: 'issue_comment',
+      payload: newComment({comment: {body}, issue: {number: issueNumber}}),
+    });
+  }
+
+  const foo = triggerComment('!foo');
+
+  // wait for `!foo` to start
+  while (!finishFoo) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  await triggerComment('!bar');
+  await triggerComment('!bar', 2);
+  await triggerComment('!baz');
+  finishFoo();
+  await foo;
+  await triggerComment('!bar');
+
+  expect(calls).toEqual(['!foo', '!bar', '!baz', '!bar']);
+  expect(replies).toEqual([
+    'Unable to run `!bar` while `!foo` is running on this pull request. Try again once it finishes.',
+  ]);
+  nock.cleanAll();
 });
 
 test('Supports array of commands', async () => {
@@ -130,18 +243,171 @@ test('Supports array of commands', async () => {
       .reply(200, fixtures.permission.admin);
     await probot.receive({
       name: 'issue_comment',
-      payload: extend(true, {}, fixtures.comment, {
+      payload: newComment({
         comment: {body: command},
       }),
     });
   }
 
-  await Promise.all([
-    triggerCommand('!foo'),
-    triggerCommand('!bar'),
-    triggerCommand('!foo'),
-  ]);
+  await triggerCommand('!foo');
+  await triggerCommand('!bar');
+  await triggerCommand('!foo');
 
   expect(fooTriggerCount).toBe(2);
   expect(barTriggerCount).toBe(1);
 });
+
+test('Parses commands and arguments', async () => {
+  const calls = [];
+  let commentRequestBody;
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app);
+    commands.on(
+      '!foo',
+      async (_, command, args) => calls.push({command, ...args}),
+      {
+        flags: {
+          force: {type: 'boolean'},
+          reason: {type: 'string', description: 'why'},
+        },
+      },
+    );
+  });
+
+  async function triggerComment(body) {
+    nock('https://api.github.com')
+      .get('/repos/org/test-repo/collaborators/test-user/permission')
+      .reply(200, fixtures.permission.admin);
+    await probot.receive({
+      name: 'issue_comment',
+      payload: newComment({
+        comment: {body},
+      }),
+    });
+  }
+
+  await triggerComment('Looks good\r\n\r\n!foo\r\n\r\nthanks!');
+  await triggerComment('!foo bar --force --reason="some reason"');
+  await triggerComment("!foo --reason 'another reason' baz");
+  await triggerComment("!foo it's down --reason='it is down'");
+  // SHOULD NOT trigger
+  await triggerComment('```\n!foo\n```');
+
+  expect(calls).toEqual([
+    {command: '!foo', args: [], flags: {}},
+    {
+      command: '!foo',
+      args: ['bar'],
+      flags: {force: true, reason: 'some reason'},
+    },
+    {command: '!foo', args: ['baz'], flags: {reason: 'another reason'}},
+    // apostrophes inside a token don't start a quote
+    {command: '!foo', args: ["it's", 'down'], flags: {reason: 'it is down'}},
+  ]);
+
+  nock('https://api.github.com')
+    .post('/repos/org/test-repo/issues/1/comments', body => {
+      commentRequestBody = body.body;
+      return true;
+    })
+    .reply(200);
+  await triggerComment('!foo --forse');
+
+  expect(calls.length).toBe(4);
+  expect(commentRequestBody).toMatch('Unknown flag `--forse`');
+  expect(commentRequestBody).toMatch('- `--reason=<value>`: why');
+});
+
+test('parseArgs', () => {
+  const flagOpts = {
+    force: {type: 'boolean'},
+    reason: {type: 'string'},
+  };
+
+  expect(parseArgs(['a', '--force', 'b'], flagOpts)).toEqual({
+    args: ['a', 'b'],
+    flags: {force: true},
+  });
+  expect(parseArgs(['--reason=a=b'], flagOpts)).toEqual({
+    args: [],
+    flags: {reason: 'a=b'},
+  });
+  expect(parseArgs(['--force=yes'], flagOpts).error).toMatch(
+    "doesn't accept a value",
+  );
+  expect(parseArgs(['--reason', '--force'], flagOpts).error).toMatch(
+    'requires a value',
+  );
+  expect(parseArgs(['--other'], flagOpts).error).toMatch(
+    'Unknown flag `--other`',
+  );
+});
+
+test('Replies to !help and unknown commands', async () => {
+  const replies = [];
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app);
+    commands.on('!land', async () => {}, {
+      description: 'Land it',
+      flags: {'keep-branch': {type: 'boolean'}},
+    });
+    commands.on('!merge', async () => {}, {hidden: true});
+  });
+
+  async function triggerComment(body, permission = fixtures.permission.read) {
+    nock('https://api.github.com')
+      .get('/repos/org/test-repo/collaborators/test-user/permission')
+      .reply(200, permission)
+      .post('/repos/org/test-repo/issues/1/comments', body => {
+        replies.push(body.body);
+        return true;
+      })
+      .reply(200);
+    await probot.receive({
+      name: 'issue_comment',
+      payload: newComment({
+        comment: {body},
+      }),
+    });
+  }
+
+  await triggerComment('!help');
+  await triggerComment('!lnad');
+  await triggerComment('!Land');
+  // not close to any command, so no reply (or permission check)
+  await probot.receive({
+    name: 'issue_comment',
+    payload: newComment({comment: {body: '!sync'}}),
+  });
+  await probot.receive({
+    name: 'issue_comment',
+    payload: newComment({comment: {body: '!important note'}}),
+  });
+
+  expect(replies).toEqual([
+    'Available commands:\n\n' +
+      '- `!help`: List available commands *(requires read access)*\n' +
+      '- `!land`: Land it *(requires write access)*\n  - `--keep-branch`',
+    "`!lnad` isn't a supported command. Did you mean `!land`? Comment `!help` to list available commands.",
+    "`!Land` isn't a supported command. Did you mean `!land`? Comment `!help` to list available commands.",
+  ]);
+  nock.cleanAll();
+});
+
+test('editDistance', () => {
+  expect(editDistance('!land', '!land')).toBe(0);
+  expect(editDistance('!lnad', '!land')).toBe(2);
+  expect(editDistance('!lan', '!land')).toBe(1);
+  expect(editDistance('', 'abc')).toBe(3);
+});
+
+test('hasCommandLine', () => {
+  expect(hasCommandLine('!land')).toBe(true);
+  expect(hasCommandLine('LGTM\n\n  !land --breakglass "outage"')).toBe(true);
+  expect(hasCommandLine('LGTM\r\n!some-command')).toBe(true);
+  expect(hasCommandLine('LGTM!')).toBe(false);
+  expect(hasCommandLine('Run `!land` once approved')).toBe(false);
+  expect(hasCommandLine('> !land\n\nDone')).toBe(false);
+  expect(hasCommandLine('```\n!land\n```')).toBe(false);
+  expect(hasCommandLine('!!!')).toBe(false);
+});
@@ -0,0 +1,146 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {logger} = require('probot/lib/logger');
+const {addComment, addReaction, updateComment} = require('./github.js');
+const lang = require('./lang.js');
+
+module.exports = class ProgressComment {
+  /**
+   * Reports a command's progress in a single comment, which is posted
+   * on the first update and edited in place after that. The comment
+   * containing the command gets a reaction right away, and another
+   * once the command succeeds or fails
+   *
+   * GitHub doesn't have ✅/❌ reactions, so 🚀 and 😕 stand in for
+   * them; the progress comment itself ends with ✅ or ❌
+   *
+   * @param {{
+   *   command: string,
+   *   commandComment: {
+   *     id: number,
+   *     repoName: string,
+   *   },
+   *   comment?: {
+   *     id: number,
+   *     repoName: string,
+   *   },
+   *   pullRequest: import('./github.js').PullRequestOpt,
+   * }} opts `comment` resumes an existing progress comment (e.g. from
+   *   an earlier webhook), which is overwritten on the first update
+   */
+  constructor({command, commandComment, comment, pullRequest}) {
+    this._command = command;
+    this._commandComment = commandComment;
+    this._pullRequest = pullRequest;
+    this._steps = [];
+    this._status = undefined;
+    this._outcome = undefined;
+    // `{id, repoName}` once posted
+    this._comment = comment;
+    // edits are applied in order, even if made concurrently
+    this._updates = Promise.resolve();
+  }
+
+  /**
+   * @returns {{id: number, repoName: string} | void} the progress
+   *   comment, once posted
+   */
+  get comment() {
+    return this._comment;
+  }
+
+  /**
+   * @returns {boolean} whether the command succeeded or failed
+   */
+  get finished() {
+    return Boolean(this._outcome);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async acknowledge() {
+    return this._react('eyes');
+  }
+
+  /**
+   * @param {string} step
+   * @returns {Promise<void>}
+   */
+  async completeStep(step) {
+    this._steps.push(step);
+    this._status = undefined;
+    return this._update();
+  }
+
+  /**
+   * @param {string} status the step in progress
+   * @returns {Promise<void>}
+   */
+  async setStatus(status) {
+    this._status = status;
+    return this._update();
+  }
+
+  /**
+   * @param {string} message
+   * @returns {Promise<void>}
+   */
+  async succeed(message) {
+    this._outcome = {message, success: true};
+    await this._update();
+    return this._react('rocket');
+  }
+
+  /**
+   * @param {string} message
+   * @returns {Promise<void>}
+   */
+  async fail(message) {
+    this._outcome = {message, success: false};
+    await this._update();
+    return this._react('confused');
+  }
+
+  /**
+   * @param {Parameters<typeof addReaction>[1]} content
+   * @returns {Promise<void>}
+   */
+  async _react(content) {
+    // reactions are only cosmetic, so don't fail the command over them
+    await addReaction(this._commandComment, content).catch(error =>
+      logger.error(`error adding ${content} reaction: ${error.message}`),
+    );
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  _update() {
+    const body = lang.progress({
+      command: this._command,
+      outcome: this._outcome,
+      status: this._status,
+      steps: this._steps,
+    });
+    const update = this._updates.then(async () => {
+      if (this._comment) {
+        await updateComment(this._comment, body);
+        return;
+      }
+
+      const {data} = await addComment(this._pullRequest, body);
+
+      this._comment = {id: data.id, repoName: this._pullRequest.repoName};
+    });
+
+    // a failed edit shouldn't prevent later ones
+    this._updates = update.catch(() => {});
+
+    return update;
+  }
+};
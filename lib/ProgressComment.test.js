@@ -0,0 +1,111 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {logger} = require('probot/lib/logger');
+const {addComment, addReaction, updateComment} = require('./github.js');
+const lang = require('./lang.js');
+const ProgressComment = require('./ProgressComment.js');
+
+jest.mock('./github.js');
+
+const commandComment = {id: 10, repoName: 'org/parent'};
+const pullRequest = {number: 1, repoName: 'org/parent'};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  addComment.mockResolvedValue({data: {id: 20}});
+  addReaction.mockResolvedValue({});
+  updateComment.mockResolvedValue({});
+});
+
+test('posts one comment and edits it in place', async () => {
+  const progress = new ProgressComment({
+    command: '!land',
+    commandComment,
+    pullRequest,
+  });
+
+  await progress.acknowledge();
+  expect(addReaction).toHaveBeenLastCalledWith(commandComment, 'eyes');
+  expect(addComment).not.toHaveBeenCalled();
+
+  // concurrent updates are applied in order, to the same comment
+  await Promise.all([
+    progress.completeStep('Checks passed'),
+    progress.setStatus('Landing'),
+  ]);
+  await progress.succeed('Landed.');
+
+  expect(addComment).toHaveBeenCalledTimes(1);
+  expect(addComment).toHaveBeenCalledWith(
+    pullRequest,
+    lang.progress({command: '!land', steps: ['Checks passed']}),
+  );
+  expect(updateComment.mock.calls).toEqual([
+    [
+      {id: 20, repoName: 'org/parent'},
+      lang.progress({
+        command: '!land',
+        status: 'Landing',
+        steps: ['Checks passed'],
+      }),
+    ],
+    [
+      {id: 20, repoName: 'org/parent'},
+      lang.progress({
+        command: '!land',
+        outcome: {message: 'Landed.', success: true},
+        steps: ['Checks passed'],
+      }),
+    ],
+  ]);
+  expect(addReaction).toHaveBeenLastCalledWith(commandComment, 'rocket');
+});
+
+test('failure', async () => {
+  const progress = new ProgressComment({
+    command: '!import',
+    commandComment,
+    pullRequest,
+  });
+
+  // reactions failing doesn't fail the command
+  addReaction.mockRejectedValue(new Error('Forbidden'));
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+  await progress.fail('Unable to import.');
+
+  expect(addComment).toHaveBeenCalledWith(
+    pullRequest,
+    expect.stringContaining(':x: Unable to import.'),
+  );
+  expect(addReaction).toHaveBeenLastCalledWith(commandComment, 'confused');
+
+  expect(logger.error).toHaveBeenCalledWith(
+    'error adding confused reaction: Forbidden',
+  );
+  logger.error.mockRestore();
+});
+
+test('resumes an existing comment', async () => {
+  const comment = {id: 30, repoName: 'org/parent'};
+  const progress = new ProgressComment({
+    command: '!land',
+    commandComment,
+    comment,
+    pullRequest,
+  });
+
+  expect(progress.finished).toBe(false);
+  await progress.fail('Cancelled.');
+
+  expect(progress.finished).toBe(true);
+  expect(addComment).not.toHaveBeenCalled();
+  expect(updateComment).toHaveBeenCalledWith(
+    comment,
+    expect.stringContaining(':x: Cancelled.'),
+  );
+});
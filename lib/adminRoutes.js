@@ -0,0 +1,135 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {queryAuditLog} = require('./auditLog.js');
+const {checkAuth, getCachedInstallIDs} = require('./OctokitAuthPlugin.js');
+const {getHistoryStore, getInFlightOperations} = require('./history.js');
+
+const ROUTE_PREFIX = '/usync';
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Require `USYNC_ADMIN_TOKEN` as a bearer token. These routes expose
+ * private commit messages and users, so they're disabled entirely if
+ * it isn't set
+ *
+ * @type {import('express').RequestHandler}
+ */
+function requireAdminToken(req, res, next) {
+  const {USYNC_ADMIN_TOKEN} = process.env;
+
+  if (!USYNC_ADMIN_TOKEN) {
+    return res.status(403).json({error: 'USYNC_ADMIN_TOKEN is not set'});
+  }
+
+  if (req.get('authorization') !== `Bearer ${USYNC_ADMIN_TOKEN}`) {
+    return res.status(401).json({error: 'Unauthorized'});
+  }
+
+  next();
+}
+
+/**
+ * Mount read-only routes for debugging the app:
+ *
+ * - `GET /usync/health`: whether GitHub auth works; 503 if not
+ * - `GET /usync/status`: parent repos, running operations, land
+ *   queues and cached installation IDs
+ * - `GET /usync/history`: recent imports and lands, newest first;
+ *   filter with `type`, `repoName`, `user` and `limit` params
+ * - `GET /usync/audit`: audit log entries (e.g. breakglass lands),
+ *   newest first; filter with `type`, `repoName`, `user`, `since` and
+ *   `limit` params
+ *
+ * All but `/usync/health` require `USYNC_ADMIN_TOKEN`
+ *
+ * @param {import('probot').Application} app
+ * @param {{
+ *   landQueue: import('./LandQueue.js'),
+ *   parentRepoNames: string[],
+ * }} opts
+ */
+function registerAdminRoutes(app, {landQueue, parentRepoNames}) {
+  const router = app.route(ROUTE_PREFIX);
+
+  /**
+   * Express 4 ignores rejected promises, which would leave the
+   * request hanging, so respond with a 500 instead
+   *
+   * @param {(req: *, res: *) => Promise<void>} handler
+   * @returns {import('express').RequestHandler}
+   */
+  function handleErrors(handler) {
+    return (req, res) =>
+      handler(req, res).catch(error => {
+        app.log.error(`error handling ${req.originalUrl}: ${error.message}`);
+        res.status(500).json({error: 'Internal Server Error'});
+      });
+  }
+
+  router.get(
+    '/health',
+    handleErrors(async (req, res) => {
+      const checks = await checkAuth();
+      const ok = Object.values(checks).every(check => check.ok);
+
+      res.status(ok ? 200 : 503).json({ok, checks});
+    }),
+  );
+
+  router.get('/status', requireAdminToken, (req, res) => {
+    res.json({
+      parentRepos: parentRepoNames,
+      inFlight: getInFlightOperations(),
+      landQueues: parentRepoNames.reduce((result, repoName) => {
+        result[repoName] = landQueue.entries(repoName);
+        return result;
+      }, {}),
+      installationIds: getCachedInstallIDs(),
+    });
+  });
+
+  router.get(
+    '/history',
+    requireAdminToken,
+    handleErrors(async (req, res) => {
+      const {repoName, type, user} = req.query;
+      const limit = parseInt(req.query.limit) || DEFAULT_HISTORY_LIMIT;
+      const records = await getHistoryStore().query({
+        limit,
+        repoName,
+        type,
+        user,
+      });
+
+      res.json(records.reverse());
+    }),
+  );
+
+  router.get(
+    '/audit',
+    requireAdminToken,
+    handleErrors(async (req, res) => {
+      const {repoName, type, user} = req.query;
+      const limit = parseInt(req.query.limit) || DEFAULT_HISTORY_LIMIT;
+      const since = req.query.since ? new Date(req.query.since) : undefined;
+
+      if (since && isNaN(since.getTime())) {
+        res.status(400).json({error: '`since` must be a date'});
+        return;
+      }
+
+      const entries = await queryAuditLog({limit, repoName, since, type, user});
+
+      res.json(entries.reverse());
+    }),
+  );
+}
+
+module.exports = {
+  ROUTE_PREFIX,
+  registerAdminRoutes,
+};
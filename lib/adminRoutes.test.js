@@ -0,0 +1,185 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const nock = require('nock');
+const path = require('path');
+const {Probot} = require('probot');
+const {registerAdminRoutes} = require('./adminRoutes.js');
+const {queryAuditLog} = require('./auditLog.js');
+const {setHistoryStore} = require('./history.js');
+const LandQueue = require('./LandQueue.js');
+const {checkAuth, getCachedInstallIDs} = require('./OctokitAuthPlugin.js');
+
+jest.mock('./auditLog.js');
+jest.mock('./OctokitAuthPlugin.js');
+nock.enableNetConnect('localhost');
+
+const ADMIN_TOKEN = 'admin-token';
+let server;
+let historyQuery;
+
+function request(pathname, token = ADMIN_TOKEN) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(
+        {
+          headers: token ? {authorization: `Bearer ${token}`} : {},
+          hostname: 'localhost',
+          path: pathname,
+          port: server.address().port,
+        },
+        res => {
+          let body = '';
+
+          res.on('data', chunk => (body += chunk));
+          res.on('end', () =>
+            resolve({status: res.statusCode, body: JSON.parse(body)}),
+          );
+        },
+      )
+      .on('error', reject);
+  });
+}
+
+beforeAll(done => {
+  const cert = fs.readFileSync(
+    path.resolve(__dirname, '__fixtures__/mock-cert.pem'),
+    'utf-8',
+  );
+  const probot = new Probot({
+    cert,
+    id: 123,
+  });
+  const landQueue = new LandQueue();
+
+  landQueue.add('org/parent', {id: 1, task: () => new Promise(() => {})});
+  setHistoryStore({
+    add: async () => {},
+    query: filters => historyQuery(filters),
+  });
+  probot.load(app => {
+    jest.spyOn(app.log, 'error').mockImplementation(() => {});
+    registerAdminRoutes(app, {
+      landQueue,
+      parentRepoNames: ['org/parent', 'org/other-parent'],
+    });
+  });
+  server = probot.server.listen(0, done);
+});
+
+beforeEach(() => {
+  process.env.USYNC_ADMIN_TOKEN = ADMIN_TOKEN;
+  historyQuery = async filters =>
+    [{number: 1, type: 'import'}, {number: 2, type: 'land'}].filter(
+      record => !filters.type || record.type === filters.type,
+    );
+});
+
+afterAll(done => {
+  delete process.env.USYNC_ADMIN_TOKEN;
+  server.close(done);
+});
+
+test('GET /usync/status', async () => {
+  getCachedInstallIDs.mockReturnValue({'org/parent': 123});
+
+  expect(await request('/usync/status')).toEqual({
+    status: 200,
+    body: {
+      parentRepos: ['org/parent', 'org/other-parent'],
+      inFlight: [],
+      landQueues: {'org/parent': [1], 'org/other-parent': []},
+      installationIds: {'org/parent': 123},
+    },
+  });
+});
+
+test('GET /usync/history', async () => {
+  expect((await request('/usync/history')).body).toEqual([
+    {number: 2, type: 'land'},
+    {number: 1, type: 'import'},
+  ]);
+  expect((await request('/usync/history?type=land')).body).toEqual([
+    {number: 2, type: 'land'},
+  ]);
+});
+
+test('GET /usync/audit', async () => {
+  queryAuditLog.mockResolvedValue([{number: 1}, {number: 2}]);
+
+  expect(
+    await request('/usync/audit?repoName=org/parent&since=2019-06-01'),
+  ).toEqual({status: 200, body: [{number: 2}, {number: 1}]});
+  expect(queryAuditLog).toHaveBeenLastCalledWith({
+    limit: 50,
+    repoName: 'org/parent',
+    since: new Date('2019-06-01'),
+    type: undefined,
+    user: undefined,
+  });
+
+  expect(await request('/usync/audit?since=yesterday')).toEqual({
+    status: 400,
+    body: {error: '`since` must be a date'},
+  });
+  expect((await request('/usync/audit', null)).status).toBe(401);
+});
+
+test('GET /usync/history errors', async () => {
+  historyQuery = async () => {
+    throw new Error('disk full');
+  };
+
+  expect(await request('/usync/history')).toEqual({
+    status: 500,
+    body: {error: 'Internal Server Error'},
+  });
+});
+
+test('admin token', async () => {
+  expect(await request('/usync/status', null)).toEqual({
+    status: 401,
+    body: {error: 'Unauthorized'},
+  });
+  expect((await request('/usync/history', 'wrong-token')).status).toBe(401);
+
+  // disabled when no token is configured
+  delete process.env.USYNC_ADMIN_TOKEN;
+  expect(await request('/usync/status', null)).toEqual({
+    status: 403,
+    body: {error: 'USYNC_ADMIN_TOKEN is not set'},
+  });
+  expect((await request('/usync/history', null)).status).toBe(403);
+});
+
+test('GET /usync/health', async () => {
+  checkAuth.mockResolvedValue({jwt: {ok: true}, token: {ok: true}});
+  expect((await request('/usync/health')).status).toBe(200);
+
+  checkAuth.mockResolvedValue({
+    jwt: {ok: true},
+    token: {ok: false, error: 'Bad credentials'},
+  });
+  expect(await request('/usync/health')).toEqual({
+    status: 503,
+    body: {
+      ok: false,
+      checks: {
+        jwt: {ok: true},
+        token: {ok: false, error: 'Bad credentials'},
+      },
+    },
+  });
+
+  // doesn't require the admin token
+  checkAuth.mockRejectedValue(new Error('ECONNRESET'));
+  expect(await request('/usync/health', null)).toEqual({
+    status: 500,
+    body: {error: 'Internal Server Error'},
+  });
+});
@@ -0,0 +1,104 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getUserPermission, isTeamMember} = require('./github.js');
+const lang = require('./lang.js');
+
+// review states that replace a reviewer's previous review; comments
+// don't affect an earlier approval or change request
+const DECISIVE_STATES = ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'];
+
+/**
+ * @param {Array<{
+ *   author: {login: string} | null,
+ *   state: string,
+ * }>} reviews in chronological order
+ * @returns {Map<string, *>} each reviewer's latest decisive review
+ */
+function getLatestReviews(reviews) {
+  return reviews.reduce((result, review) => {
+    // `author` is null for deleted accounts
+    if (review.author && DECISIVE_STATES.includes(review.state)) {
+      result.set(review.author.login, review);
+    }
+
+    return result;
+  }, new Map());
+}
+
+/**
+ * Check a pull request's reviews against an approval policy
+ *
+ * @param {{
+ *   policy: import('./config.js').ApprovalPolicy,
+ *   pullRequest: *,
+ * }} opts
+ * @returns {Promise<string[]>} reasons the policy isn't satisfied;
+ *   empty if it is
+ */
+async function evaluateApprovalPolicy({policy, pullRequest}) {
+  const problems = [];
+  const latestReviews = [
+    ...getLatestReviews(pullRequest.reviews.nodes).values(),
+  ].filter(review => review.author.login !== pullRequest.author.login);
+  const changeRequesters = latestReviews
+    .filter(review => review.state === 'CHANGES_REQUESTED')
+    .map(review => review.author.login);
+  let approvals = latestReviews.filter(review => review.state === 'APPROVED');
+  let staleCount = 0;
+
+  if (policy.dismissStaleApprovals) {
+    const freshApprovals = approvals.filter(
+      review => review.commit && review.commit.oid === pullRequest.headRefOid,
+    );
+
+    staleCount = approvals.length - freshApprovals.length;
+    approvals = freshApprovals;
+  }
+
+  if (policy.requireWriteAccess) {
+    const permissions = await Promise.all(
+      approvals.map(review =>
+        getUserPermission(pullRequest.repoName, review.author.login),
+      ),
+    );
+
+    approvals = approvals.filter(
+      (_, i) => permissions[i] === 'admin' || permissions[i] === 'write',
+    );
+  }
+
+  if (approvals.length < policy.requiredApprovals) {
+    problems.push(
+      lang.approval_notEnough(
+        policy.requiredApprovals,
+        approvals.length,
+        staleCount,
+      ),
+    );
+  }
+
+  if (policy.blockOnChangesRequested && changeRequesters.length) {
+    problems.push(lang.approval_changesRequested(changeRequesters));
+  }
+
+  for (const team of policy.requiredTeams) {
+    const memberships = await Promise.all(
+      approvals.map(review => isTeamMember(team, review.author.login)),
+    );
+
+    if (!memberships.includes(true)) {
+      problems.push(lang.approval_teamRequired(team));
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  evaluateApprovalPolicy,
+  getLatestReviews,
+};
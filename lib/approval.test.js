@@ -0,0 +1,100 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('./github.js', () => ({
+  getUserPermission: async (repoName, username) =>
+    username.startsWith('reader') ? 'read' : 'write',
+  isTeamMember: async (team, username) =>
+    team === 'org/core' && username === 'core-member',
+}));
+
+const {evaluateApprovalPolicy} = require('./approval.js');
+const {DEFAULT_CONFIG} = require('./config.js');
+
+function review(login, state, oid = 'head') {
+  return {author: {login}, commit: {oid}, state};
+}
+
+function createPR(reviews) {
+  return {
+    author: {login: 'author'},
+    headRefOid: 'head',
+    repoName: 'org/parent',
+    reviews: {nodes: reviews},
+  };
+}
+
+test('evaluateApprovalPolicy', async () => {
+  const policy = DEFAULT_CONFIG.approval;
+
+  expect(
+    await evaluateApprovalPolicy({
+      policy,
+      pullRequest: createPR([review('a', 'APPROVED')]),
+    }),
+  ).toEqual([]);
+  expect(
+    await evaluateApprovalPolicy({policy, pullRequest: createPR([])}),
+  ).toEqual(['At least 1 approved review is required (found 0).']);
+  // later reviews replace earlier ones, except comments
+  expect(
+    await evaluateApprovalPolicy({
+      policy,
+      pullRequest: createPR([
+        review('a', 'APPROVED'),
+        review('a', 'COMMENTED'),
+        review('b', 'APPROVED'),
+        review('b', 'DISMISSED'),
+        review(null, 'APPROVED'),
+      ]),
+    }),
+  ).toEqual([]);
+  expect(
+    await evaluateApprovalPolicy({
+      policy,
+      pullRequest: createPR([
+        review('author', 'APPROVED'),
+        review('a', 'APPROVED'),
+        review('a', 'CHANGES_REQUESTED'),
+      ]),
+    }),
+  ).toEqual(['At least 1 approved review is required (found 0).']);
+});
+
+test('evaluateApprovalPolicy with custom policy', async () => {
+  const policy = {
+    blockOnChangesRequested: true,
+    dismissStaleApprovals: true,
+    requiredApprovals: 2,
+    requiredTeams: ['org/core'],
+    requireWriteAccess: true,
+  };
+
+  expect(
+    await evaluateApprovalPolicy({
+      policy,
+      pullRequest: createPR([
+        review('a', 'APPROVED'),
+        review('core-member', 'APPROVED'),
+      ]),
+    }),
+  ).toEqual([]);
+  expect(
+    await evaluateApprovalPolicy({
+      policy,
+      pullRequest: createPR([
+        review('a', 'APPROVED', 'old'),
+        review('reader', 'APPROVED'),
+        review('b', 'APPROVED'),
+        review('c', 'CHANGES_REQUESTED'),
+      ]),
+    }),
+  ).toEqual([
+    'At least 2 approved reviews are required (found 1; 1 approval was given before the latest push).',
+    'Changes requested by @c.',
+    'An approved review from a member of `org/core` is required.',
+  ]);
+});
@@ -0,0 +1,59 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const path = require('path');
+const {FileHistoryStore} = require('./history.js');
+
+const AUDIT_LOG_PATH = path.resolve(
+  process.env.USYNC_AUDIT_LOG || 'usync-audit.log',
+);
+const auditLog = new FileHistoryStore(AUDIT_LOG_PATH);
+
+/**
+ * @typedef {{
+ *   landedRepos?: Object<string, {sha: string}>,
+ *   number: number,
+ *   reason: string,
+ *   repoName: string,
+ *   timestamp: string,
+ *   type: 'breakglass',
+ *   user: string,
+ * }} AuditLogEntry
+ */
+
+/**
+ * Append an entry to the audit log (one JSON object per line)
+ *
+ * @param {Pick<AuditLogEntry, Exclude<keyof AuditLogEntry, 'timestamp'>>} entry
+ * @returns {Promise<void>}
+ */
+async function appendAuditLog(entry) {
+  return auditLog.add({
+    timestamp: new Date().toISOString(),
+    ...entry,
+  });
+}
+
+/**
+ * @param {{
+ *   limit?: number,
+ *   repoName?: string,
+ *   since?: Date,
+ *   type?: string,
+ *   user?: string,
+ * }} [filters]
+ * @returns {Promise<AuditLogEntry[]>} matching entries, oldest first (the most
+ *   recent `limit` entries, if provided)
+ */
+async function queryAuditLog(filters = {}) {
+  return auditLog.query(filters);
+}
+
+module.exports = {
+  AUDIT_LOG_PATH,
+  appendAuditLog,
+  queryAuditLog,
+};
@@ -0,0 +1,45 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usync-audit-'));
+process.env.USYNC_AUDIT_LOG = path.join(tmpDir, 'audit.log');
+
+const {appendAuditLog, queryAuditLog} = require('./auditLog.js');
+
+test('appendAuditLog/queryAuditLog', async () => {
+  expect(await queryAuditLog()).toEqual([]);
+
+  await appendAuditLog({
+    type: 'breakglass',
+    number: 1,
+    reason: 'prod outage',
+    repoName: 'org/parent',
+    user: 'foo',
+  });
+  await appendAuditLog({
+    type: 'breakglass',
+    number: 2,
+    reason: 'hotfix',
+    repoName: 'org/other-parent',
+    user: 'bar',
+  });
+
+  const entries = await queryAuditLog();
+
+  expect(entries.map(entry => entry.number)).toEqual([1, 2]);
+  expect(typeof entries[0].timestamp).toBe('string');
+  expect(
+    (await queryAuditLog({repoName: 'org/parent'})).map(entry => entry.reason),
+  ).toEqual(['prod outage']);
+  expect(await queryAuditLog({user: 'baz'})).toEqual([]);
+  expect(await queryAuditLog({since: new Date(Date.now() + 60000)})).toEqual(
+    [],
+  );
+});
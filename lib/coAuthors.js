@@ -0,0 +1,103 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getPullRequest, getPullRequestCommits, getUser} = require('./github.js');
+const {getNoreplyEmail} = require('./githubUrls.js');
+
+/**
+ * @param {string} name GitHub login, or commit author name
+ * @param {string} [type] GitHub account type
+ * @returns {boolean}
+ */
+function isBot(name, type) {
+  return type === 'Bot' || /\[bot\]$/.test(name);
+}
+
+/**
+ * @param {*} [commit] from `getPullRequestCommits`
+ * @param {{email?: string, user?: {login: string}}} contributor
+ * @returns {boolean} whether the contributor authored the commit, by
+ *   their GitHub account if the commit is linked to one
+ */
+function isCommitAuthor(commit, {email, user}) {
+  if (!commit) return false;
+
+  if (commit.author) {
+    return Boolean(user) && user.login === commit.author.login;
+  }
+
+  return (
+    !user && email.toLowerCase() === commit.commit.author.email.toLowerCase()
+  );
+}
+
+/**
+ * Credit the author of an imported pull request, and the author of
+ * each of its commits, in the commits it's landed as. uSync lands them
+ * with the author of the first commit, who isn't credited again. GitHub
+ * accounts are credited by their noreply email, so their private email
+ * isn't exposed; other commit authors keep the name and email they used
+ *
+ * @param {{
+ *   config: import('./config.js').USyncAppConfig,
+ *   pullRequest: import('./github.js').PullRequestOpt,
+ * }} opts pull request the change was imported from
+ * @returns {Promise<string[]>} `Co-authored-by` trailers, in the order
+ *   the authors contributed
+ */
+async function getCoAuthorTrailers({config, pullRequest}) {
+  if (!config.imports.coAuthors) return [];
+
+  const [{user: prAuthor}, commits] = await Promise.all([
+    getPullRequest(pullRequest),
+    getPullRequestCommits(pullRequest),
+  ]);
+  const [firstCommit] = commits;
+  const contributors = [
+    {user: prAuthor},
+    ...commits.map(({author, commit}) =>
+      author
+        ? {user: author}
+        : {name: commit.author.name, email: commit.author.email},
+    ),
+  ].filter(
+    ({email, name, user}) =>
+      !isCommitAuthor(firstCommit, {email, user}) &&
+      (config.imports.coAuthorBots ||
+        !(user ? isBot(user.login, user.type) : isBot(name))),
+  );
+  const logins = [
+    ...new Set(
+      contributors.filter(({user}) => user).map(({user}) => user.login),
+    ),
+  ];
+  const names = new Map(
+    await Promise.all(
+      logins.map(async login => [login, (await getUser(login)).name]),
+    ),
+  );
+  const trailers = new Map();
+
+  for (const {email, name, user} of contributors) {
+    const coAuthor = user
+      ? {
+          name: names.get(user.login) || user.login,
+          email: getNoreplyEmail(user),
+        }
+      : {name, email};
+    const key = coAuthor.email.toLowerCase();
+
+    if (!trailers.has(key)) {
+      trailers.set(key, `Co-authored-by: ${coAuthor.name} <${coAuthor.email}>`);
+    }
+  }
+
+  return [...trailers.values()];
+}
+
+module.exports = {
+  getCoAuthorTrailers,
+};
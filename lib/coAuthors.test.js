@@ -0,0 +1,94 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getCoAuthorTrailers} = require('./coAuthors.js');
+const {DEFAULT_CONFIG} = require('./config.js');
+const {getPullRequest, getPullRequestCommits, getUser} = require('./github.js');
+
+jest.mock('./github.js');
+
+const pullRequest = {repoName: 'org/child', number: 1};
+const users = {
+  alice: {id: 1, login: 'alice', name: 'Alice A', type: 'User'},
+  bob: {id: 2, login: 'bob', name: null, type: 'User'},
+  'renovate[bot]': {id: 3, login: 'renovate[bot]', name: null, type: 'Bot'},
+};
+
+function commit(author, commitAuthor = {name: 'unused', email: 'unused'}) {
+  return {author, commit: {author: commitAuthor}};
+}
+
+beforeEach(() => {
+  getPullRequest.mockResolvedValue({user: users.alice});
+  getPullRequestCommits.mockResolvedValue([
+    commit(users.bob),
+    commit(users.alice),
+    commit(users['renovate[bot]']),
+    // not linked to a GitHub account
+    commit(null, {name: 'Carol', email: 'carol@example.com'}),
+    commit(null, {name: 'Carol', email: 'Carol@example.com'}),
+    commit(users.bob),
+  ]);
+  getUser.mockImplementation(async login => users[login]);
+});
+
+test('getCoAuthorTrailers', async () => {
+  expect(
+    await getCoAuthorTrailers({config: DEFAULT_CONFIG, pullRequest}),
+  ).toEqual([
+    // bob is already the landed commit's author
+    'Co-authored-by: Alice A <1+alice@users.noreply.github.com>',
+    'Co-authored-by: Carol <carol@example.com>',
+  ]);
+
+  expect(
+    await getCoAuthorTrailers({
+      config: {
+        ...DEFAULT_CONFIG,
+        imports: {...DEFAULT_CONFIG.imports, coAuthorBots: true},
+      },
+      pullRequest,
+    }),
+  ).toContain(
+    'Co-authored-by: renovate[bot] <3+renovate[bot]@users.noreply.github.com>',
+  );
+
+  expect(
+    await getCoAuthorTrailers({
+      config: {
+        ...DEFAULT_CONFIG,
+        imports: {...DEFAULT_CONFIG.imports, coAuthors: false},
+      },
+      pullRequest,
+    }),
+  ).toEqual([]);
+});
+
+test('getCoAuthorTrailers skips the landed commit author', async () => {
+  // the pull request author wrote the first commit
+  getPullRequestCommits.mockResolvedValue([
+    commit(users.alice),
+    commit(users.bob),
+  ]);
+
+  expect(
+    await getCoAuthorTrailers({config: DEFAULT_CONFIG, pullRequest}),
+  ).toEqual(['Co-authored-by: bob <2+bob@users.noreply.github.com>']);
+
+  // first commit isn't linked to a GitHub account
+  getPullRequestCommits.mockResolvedValue([
+    commit(null, {name: 'Carol', email: 'Carol@example.com'}),
+    commit(null, {name: 'Carol', email: 'carol@example.com'}),
+    commit(users.bob),
+  ]);
+
+  expect(
+    await getCoAuthorTrailers({config: DEFAULT_CONFIG, pullRequest}),
+  ).toEqual([
+    'Co-authored-by: Alice A <1+alice@users.noreply.github.com>',
+    'Co-authored-by: bob <2+bob@users.noreply.github.com>',
+  ]);
+});
@@ -0,0 +1,115 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {parsePRBody} = require('./github.js');
+const lang = require('./lang.js');
+
+const CHECK_NAME = 'uSync commit messages';
+
+// https://www.conventionalcommits.org/en/v1.0.0/#specification
+const CONVENTIONAL_COMMIT_PATTERN = /^[a-z]+(\([^()\r\n]+\))?!?: \S/i;
+
+/**
+ * Find problems in a pull request body that would otherwise be
+ * silently ignored when generating commit messages
+ *
+ * @param {{
+ *   body: string,
+ *   parentRepoName: string,
+ *   syncedRepos: string[],
+ * }} opts
+ * @returns {string[]} human-readable problems; empty if none
+ */
+function lintPRBody({body, parentRepoName, syncedRepos}) {
+  const {malformedOverrides = [], overrides = {}, summary} = parsePRBody(body);
+  const problems = [];
+
+  if (summary === undefined) {
+    problems.push(lang.lint_missingSummary());
+  }
+
+  for (const section of malformedOverrides) {
+    problems.push(lang.lint_malformedOverride(section));
+  }
+
+  for (const repoName of Object.keys(overrides)) {
+    if (repoName !== parentRepoName && !syncedRepos.includes(repoName)) {
+      problems.push(lang.lint_overrideRepoNotSynced(repoName));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * @param {string} policy `conventional`, or a regex
+ * @returns {RegExp}
+ */
+function getTitlePattern(policy) {
+  return policy === 'conventional'
+    ? CONVENTIONAL_COMMIT_PATTERN
+    : new RegExp(policy);
+}
+
+/**
+ * Check the commit title each affected repo will receive (the first
+ * line of its generated commit message, after overrides and
+ * templates) against the repo's `titlePolicies` option
+ *
+ * @param {{
+ *   affectedRepos: string[],
+ *   body: string,
+ *   commitMessages: Object<string, string>,
+ *   policies: Object<string, string>,
+ *   templates: Object<string, string>,
+ * }} opts `commitMessages` from `generateCommitMessages`, and the
+ *   `commitMessageTemplates` config they were generated with
+ * @returns {string[]} human-readable problems, naming the offending
+ *   repos; empty if none
+ */
+function checkTitlePolicies({
+  affectedRepos,
+  body,
+  commitMessages,
+  policies,
+  templates,
+}) {
+  const {overrides = {}} = parsePRBody(body);
+  const problems = [];
+
+  for (const repoName of affectedRepos) {
+    const policy = policies[repoName];
+
+    if (!policy) continue;
+
+    const repoTitle = (
+      commitMessages[repoName] || commitMessages.generic
+    ).split('\n')[0];
+
+    if (!getTitlePattern(policy).test(repoTitle)) {
+      problems.push(
+        lang.lint_titlePolicy({
+          policy,
+          repoName,
+          source: templates[repoName]
+            ? 'template'
+            : overrides[repoName]
+            ? 'override'
+            : 'title',
+          title: repoTitle,
+        }),
+      );
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  CHECK_NAME,
+  checkTitlePolicies,
+  lintPRBody,
+};
@@ -0,0 +1,144 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {checkTitlePolicies, lintPRBody} = require('./commitMessageCheck.js');
+const lang = require('./lang.js');
+
+const opts = {
+  parentRepoName: 'foo/parent',
+  syncedRepos: ['foo/child', 'foo/other-child'],
+};
+
+test('lintPRBody', () => {
+  // template with placeholders
+  expect(
+    lintPRBody({
+      ...opts,
+      body:
+        '## Summary\n\n*No summary provided*\n\n## Commit message overrides\n\n<!--\n**foo/example**\n-->\n\n**foo/child**\n\n**foo/other-child**',
+    }),
+  ).toEqual([]);
+
+  expect(
+    lintPRBody({
+      ...opts,
+      body:
+        '## Summary\n\nSummary\n\n## Commit message overrides\n\n**foo/child**\n```\nChild title\n```\n\n**foo/parent**\n```\nParent title\n```',
+    }),
+  ).toEqual([]);
+
+  expect(lintPRBody({...opts, body: 'Just a description'})).toEqual([
+    'Missing `## Summary` section.',
+  ]);
+
+  const problems = lintPRBody({
+    ...opts,
+    body:
+      '## Summary\n\nSummary\n\n## Commit message overrides\n\n**foo/other-child**\nMissing code fence\n\n**foo/chlid**\n```\nMisspelled\n```',
+  });
+
+  expect(problems.length).toBe(2);
+  expect(problems[0]).toMatch('Unable to parse commit message override');
+  expect(problems[0]).toMatch('> **foo/other-child**\n> Missing code fence');
+  expect(problems[1]).toBe(
+    "Commit message override for `foo/chlid`, which isn't synced with the parent repo.",
+  );
+});
+
+test('checkTitlePolicies', () => {
+  const policyOpts = {
+    affectedRepos: ['foo/parent', 'foo/child', 'foo/other-child'],
+    body:
+      '## Summary\n\nSummary\n\n## Commit message overrides\n\n**foo/child**\n```\nUpdate child\n\nDetails\n```',
+    commitMessages: {
+      generic: 'feat(api): add endpoint\n\nSummary',
+      'foo/parent':
+        'feat(api): add endpoint (#1)\nhttps://github.com/foo/parent/pull/1\n\nSummary',
+      'foo/child': 'Update child\n\nDetails',
+    },
+    policies: {'foo/child': 'conventional', 'foo/parent': '^\\[\\w+\\] '},
+    templates: {},
+  };
+
+  expect(checkTitlePolicies(policyOpts)).toEqual([
+    lang.lint_titlePolicy({
+      policy: '^\\[\\w+\\] ',
+      repoName: 'foo/parent',
+      source: 'title',
+      title: 'feat(api): add endpoint (#1)',
+    }),
+    lang.lint_titlePolicy({
+      policy: 'conventional',
+      repoName: 'foo/child',
+      source: 'override',
+      title: 'Update child',
+    }),
+  ]);
+
+  // repos without a message of their own get the generic one
+  expect(
+    checkTitlePolicies({
+      ...policyOpts,
+      policies: {'foo/other-child': 'conventional'},
+    }),
+  ).toEqual([]);
+
+  // the templated title is checked, not the pull request title
+  expect(
+    checkTitlePolicies({
+      ...policyOpts,
+      body: '',
+      commitMessages: {
+        generic: 'Add endpoint',
+        'foo/child': '[api] Add endpoint\n\nPull-request: 2',
+      },
+      policies: {'foo/child': '^\\[\\w+\\] ', 'foo/other-child': '^\\['},
+      templates: {'foo/child': '[api] {title}\n\nPull-request: {number}'},
+    }),
+  ).toEqual([
+    lang.lint_titlePolicy({
+      policy: '^\\[',
+      repoName: 'foo/other-child',
+      source: 'title',
+      title: 'Add endpoint',
+    }),
+  ]);
+
+  // only repos the pull request affects
+  expect(
+    checkTitlePolicies({
+      ...policyOpts,
+      affectedRepos: ['foo/parent', 'foo/other-child'],
+      policies: {'foo/child': 'conventional'},
+    }),
+  ).toEqual([]);
+
+  for (const title of [
+    'fix: typo',
+    'refactor(core)!: drop Node 8',
+    'Chore: x',
+  ]) {
+    expect(
+      checkTitlePolicies({
+        ...policyOpts,
+        body: '',
+        commitMessages: {generic: title},
+        policies: {'foo/other-child': 'conventional'},
+      }),
+    ).toEqual([]);
+  }
+
+  for (const title of ['Fix typo', 'fix:typo', 'fix(): typo', 'fix(a)(b): x']) {
+    expect(
+      checkTitlePolicies({
+        ...policyOpts,
+        body: '',
+        commitMessages: {generic: title},
+        policies: {'foo/other-child': 'conventional'},
+      }),
+    ).toHaveLength(1);
+  }
+});
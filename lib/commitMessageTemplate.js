@@ -0,0 +1,187 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getLatestReviews} = require('./approval.js');
+const {getPullRequest, parsePRBody} = require('./github.js');
+const {getRepoUrl} = require('./githubUrls.js');
+
+/**
+ * @typedef {import('./github.js').PullRequestOpt} PullRequestOpt
+ */
+
+/**
+ * @typedef {{
+ *   approvers: string[],
+ *   author: string,
+ *   number: number,
+ *   parentNumber: number,
+ *   parentUrl: string,
+ *   summary: string,
+ *   title: string,
+ *   url: string,
+ * }} TemplateValues
+ */
+
+/**
+ * @param {*} pullRequest with `reviews`, from `getPullRequestInfo`
+ * @returns {string[]} logins of reviewers whose latest review approves
+ *   the pull request
+ */
+function getApprovers(pullRequest) {
+  if (!pullRequest.reviews) return [];
+
+  return [...getLatestReviews(pullRequest.reviews.nodes).values()]
+    .filter(
+      review =>
+        review.state === 'APPROVED' &&
+        review.author.login !== pullRequest.author.login,
+    )
+    .map(review => review.author.login);
+}
+
+/**
+ * Fill in a commit message template's `{placeholder}`s. A line
+ * containing `{approvers}` is repeated for each approver (e.g.
+ * `Reviewed-by: {approvers}`), and dropped if there are none.
+ * Unknown placeholders are left as-is
+ *
+ * @param {string} template
+ * @param {TemplateValues} values
+ * @returns {string}
+ */
+function renderCommitMessage(template, values) {
+  return (
+    template
+      .split('\n')
+      .reduce((lines, line) => {
+        if (!line.includes('{approvers}')) {
+          lines.push(line);
+        } else {
+          for (const approver of values.approvers) {
+            lines.push(line.replace(/\{approvers\}/g, approver));
+          }
+        }
+
+        return lines;
+      }, [])
+      .join('\n')
+      .replace(/\{(\w+)\}/g, (placeholder, key) =>
+        key !== 'approvers' && key in values
+          ? String(values[key])
+          : placeholder,
+      )
+      // e.g. left by an empty `{summary}`
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  );
+}
+
+/**
+ * Parse summary and overrides from pull request body
+ * and generate commit messages for the involved
+ * repos
+ *
+ * @param {PullRequestOpt & {
+ *   author?: {login: string},
+ *   body: string,
+ *   reviews?: *,
+ *   title: string,
+ * }} pullRequest
+ * @param {PullRequestOpt & {author?: {login: string}}} [importedPR]
+ *   pull request the change was imported from; its author (see
+ *   `withImportedAuthor`) is credited in templates instead of the
+ *   app that opened the parent pull request
+ * @param {string[]} [trailers] lines appended to every message
+ *   (e.g. `Breakglass: reason`)
+ * @param {Object<string, string>} [templates] `commitMessageTemplates`
+ *   config; the title and summary (or override) of templated repos
+ *   are filled into their template instead
+ * @returns {{
+ *   generic: string,
+ * } & Object<string, string>} map of repo names to commit messages
+ */
+function generateCommitMessages(
+  pullRequest,
+  importedPR,
+  trailers = [],
+  templates = {},
+) {
+  const PRRefs = [pullRequest, importedPR].filter(Boolean);
+  const author = (importedPR && importedPR.author) || pullRequest.author;
+  const {overrides, summary} = parsePRBody(pullRequest.body);
+  const result = {
+    generic: pullRequest.title + (summary ? `\n\n${summary}` : ''),
+    ...overrides,
+  };
+
+  for (const [repoName, template] of Object.entries(templates)) {
+    const [title, ...summaryLines] = (result[repoName] || result.generic).split(
+      '\n',
+    );
+    // pull request the change lands from in the repo, if any
+    const ref =
+      PRRefs.find(PRRef => PRRef.repoName === repoName) || pullRequest;
+
+    result[repoName] = renderCommitMessage(template, {
+      approvers: getApprovers(pullRequest),
+      author: author ? author.login : '',
+      number: ref.number,
+      parentNumber: pullRequest.number,
+      parentUrl: getRepoUrl(pullRequest.repoName, `pull/${pullRequest.number}`),
+      summary: summaryLines.join('\n').trim(),
+      title,
+      url: getRepoUrl(ref.repoName, `pull/${ref.number}`),
+    });
+  }
+
+  for (const {number, repoName} of PRRefs) {
+    if (templates[repoName]) continue;
+
+    result[repoName] = (result[repoName] || result.generic)
+      .split('\n')
+      .map((line, i) => {
+        if (i === 0) {
+          line += ` (#${number})\n${getRepoUrl(repoName, `pull/${number}`)}`;
+        }
+        return line;
+      })
+      .join('\n');
+  }
+
+  if (trailers.length) {
+    for (const repoName of Object.keys(result)) {
+      result[repoName] += `\n\n${trailers.join('\n')}`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Add the author of the pull request a change was imported from, for
+ * `generateCommitMessages`. It's only fetched when a commit message
+ * template could use it
+ *
+ * @param {import('./config.js').USyncAppConfig} config
+ * @param {PullRequestOpt} [importedPR]
+ * @returns {Promise<(PullRequestOpt & {author?: {login: string}}) | void>}
+ */
+async function withImportedAuthor(config, importedPR) {
+  if (!importedPR || !Object.keys(config.commitMessageTemplates).length) {
+    return importedPR;
+  }
+
+  const {user} = await getPullRequest(importedPR);
+
+  return {...importedPR, author: {login: user.login}};
+}
+
+module.exports = {
+  generateCommitMessages,
+  getApprovers,
+  renderCommitMessage,
+  withImportedAuthor,
+};
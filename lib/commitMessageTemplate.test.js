@@ -0,0 +1,231 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  generateCommitMessages,
+  withImportedAuthor,
+} = require('./commitMessageTemplate.js');
+const {DEFAULT_CONFIG} = require('./config.js');
+const {getPullRequest} = require('./github.js');
+
+jest.mock('./github.js', () => ({
+  getPullRequest: jest.fn(),
+  parsePRBody: jest.requireActual('./github.js').parsePRBody,
+}));
+
+test('generateCommitMessages', () => {
+  expect(
+    generateCommitMessages({
+      repoName: 'foo/parent',
+      number: 10,
+      body: '## Summary\n\nParent PR summary',
+      title: 'Parent PR title',
+    }),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
+  });
+
+  expect(
+    generateCommitMessages({
+      repoName: 'foo/parent',
+      number: 10,
+      body: '## Summary\n\n',
+      title: 'Parent PR title',
+    }),
+  ).toEqual({
+    generic: 'Parent PR title',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10',
+  });
+
+  expect(
+    generateCommitMessages({
+      repoName: 'foo/parent',
+      number: 10,
+      body:
+        '## Summary\n\n<!-- Replace this with your own summary -->\n*No summary provided*\n\n',
+      title: 'Parent PR title',
+    }),
+  ).toEqual({
+    generic: 'Parent PR title',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10',
+  });
+
+  expect(
+    generateCommitMessages({
+      repoName: 'foo/parent',
+      number: 10,
+      body:
+        '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/child**\n```\nSome custom child title\n\ncustom child summary\n```',
+      title: 'Parent PR title',
+    }),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
+    'foo/child': 'Some custom child title\n\ncustom child summary',
+  });
+
+  expect(
+    generateCommitMessages(
+      {
+        repoName: 'foo/parent',
+        number: 10,
+        body:
+          '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n<!--\nHTML comment\n-->\n\n**foo/child**\n```\nSome custom child title\n\ncustom child summary\n```',
+        title: 'Parent PR title',
+      },
+      {
+        repoName: 'foo/child',
+        number: 20,
+      },
+    ),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
+    'foo/child':
+      'Some custom child title (#20)\nhttps://github.com/foo/child/pull/20\n\ncustom child summary',
+  });
+
+  expect(
+    generateCommitMessages({
+      repoName: 'foo/parent',
+      number: 10,
+      body:
+        '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/child**\n````\nSome custom child title\n\ncustom child summary with a code block\n\n```\nconsole.log("hi")\n```\n````',
+      title: 'Parent PR title',
+    }),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
+    'foo/child':
+      'Some custom child title\n\ncustom child summary with a code block\n\n```\nconsole.log("hi")\n```',
+  });
+
+  expect(
+    generateCommitMessages({
+      repoName: 'foo/parent',
+      number: 10,
+      body:
+        '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/child**\n```\nChild PR title\n\n**some-bolded-thing**\nblahblah\n```',
+      title: 'Parent PR title',
+    }),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
+    'foo/child': 'Child PR title\n\n**some-bolded-thing**\nblahblah',
+  });
+
+  expect(
+    generateCommitMessages({
+      repoName: 'foo/parent',
+      number: 10,
+      body:
+        '## Summary\n\nParent PR summary\n\n### Sub-heading\n\nfoo\n\n## Commit message overrides\n\n**foo/child**',
+      title: 'Parent PR title',
+    }),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary\n\n### Sub-heading\n\nfoo',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary\n\n### Sub-heading\n\nfoo',
+  });
+
+  expect(
+    generateCommitMessages(
+      {
+        repoName: 'foo/parent',
+        number: 10,
+        body: '## Summary\n\nParent PR summary',
+        title: 'Parent PR title',
+      },
+      undefined,
+      ['Breakglass: prod outage'],
+    ),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary\n\nBreakglass: prod outage',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary\n\nBreakglass: prod outage',
+  });
+
+  expect(
+    generateCommitMessages(
+      {
+        author: {login: 'author'},
+        repoName: 'foo/parent',
+        number: 10,
+        body:
+          '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/other**\n```\nOther title\n```',
+        reviews: {
+          nodes: [
+            {author: {login: 'alice'}, state: 'APPROVED'},
+            {author: {login: 'bob'}, state: 'APPROVED'},
+            {author: {login: 'bob'}, state: 'CHANGES_REQUESTED'},
+            {author: {login: 'carol'}, state: 'APPROVED'},
+            {author: {login: 'carol'}, state: 'COMMENTED'},
+          ],
+        },
+        title: 'Parent PR title',
+      },
+      {repoName: 'foo/child', number: 20},
+      ['Breakglass: prod outage'],
+      {
+        'foo/child':
+          '{title}\n\n{summary}\n\nPull-request: {url}\nLanded-from: {parentUrl}\nReviewed-by: {approvers}\nAuthor: {author}',
+        'foo/other': '{title} ({parentNumber})\n\n{summary}\n\n{unknown}',
+      },
+    ),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary\n\nBreakglass: prod outage',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary\n\nBreakglass: prod outage',
+    'foo/child':
+      'Parent PR title\n\nParent PR summary\n\nPull-request: https://github.com/foo/child/pull/20\nLanded-from: https://github.com/foo/parent/pull/10\nReviewed-by: alice\nReviewed-by: carol\nAuthor: author\n\nBreakglass: prod outage',
+    'foo/other': 'Other title (10)\n\n{unknown}\n\nBreakglass: prod outage',
+  });
+
+  expect(
+    generateCommitMessages(
+      {
+        author: {login: 'usync[bot]'},
+        repoName: 'foo/parent',
+        number: 10,
+        body: '',
+        title: 'Parent PR title',
+      },
+      {author: {login: 'contributor'}, repoName: 'foo/child', number: 20},
+      [],
+      {'foo/child': '{title}\n\nAuthor: {author}'},
+    )['foo/child'],
+  ).toBe('Parent PR title\n\nAuthor: contributor');
+});
+
+test('withImportedAuthor', async () => {
+  const importedPR = {repoName: 'foo/child', number: 20};
+  const config = {
+    ...DEFAULT_CONFIG,
+    commitMessageTemplates: {'foo/child': '{title}\n\nAuthor: {author}'},
+  };
+
+  getPullRequest.mockResolvedValue({user: {login: 'contributor'}});
+
+  expect(await withImportedAuthor(config, importedPR)).toEqual({
+    ...importedPR,
+    author: {login: 'contributor'},
+  });
+  expect(getPullRequest).toHaveBeenCalledWith(importedPR);
+  expect(await withImportedAuthor(config, undefined)).toBeUndefined();
+
+  // only fetched when a template could use it
+  getPullRequest.mockClear();
+  expect(await withImportedAuthor(DEFAULT_CONFIG, importedPR)).toBe(importedPR);
+  expect(getPullRequest).not.toHaveBeenCalled();
+});
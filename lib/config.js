@@ -0,0 +1,299 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const yaml = require('js-yaml');
+const {getFileContent} = require('./github.js');
+
+const CONFIG_PATH = '.github/usync.yml';
+
+/**
+ * @typedef {{
+ *   blockOnChangesRequested: boolean,
+ *   dismissStaleApprovals: boolean,
+ *   requiredApprovals: number,
+ *   requiredTeams: string[],
+ *   requireWriteAccess: boolean,
+ * }} ApprovalPolicy
+ *
+ * @typedef {{
+ *   approval: ApprovalPolicy,
+ *   breakglass: {
+ *     teams: string[],
+ *     users: string[],
+ *   },
+ *   branchPrefixes: {
+ *     import: string,
+ *     land: string,
+ *     revert: string,
+ *   },
+ *   commitMessageTemplates: Object<string, string>,
+ *   imports: {
+ *     coAuthorBots: boolean,
+ *     coAuthors: boolean,
+ *     mirrorReviews: boolean,
+ *     reopenOnClose: boolean,
+ *   },
+ *   labels: {
+ *     breakglass: string,
+ *     landWhenGreen: string,
+ *     landed: string,
+ *   },
+ *   releaseTitlePrefix: string,
+ *   titlePolicies: Object<string, string>,
+ * }} USyncAppConfig
+ */
+
+/**
+ * @type {USyncAppConfig}
+ */
+const DEFAULT_CONFIG = {
+  approval: {
+    blockOnChangesRequested: false,
+    dismissStaleApprovals: false,
+    requiredApprovals: 1,
+    requiredTeams: [],
+    requireWriteAccess: false,
+  },
+  breakglass: {
+    teams: [],
+    users: [],
+  },
+  branchPrefixes: {
+    import: 'imports/',
+    land: 'land/',
+    revert: 'revert/',
+  },
+  // repo name -> template
+  commitMessageTemplates: {},
+  imports: {
+    coAuthorBots: false,
+    coAuthors: true,
+    mirrorReviews: false,
+    reopenOnClose: false,
+  },
+  labels: {
+    breakglass: 'breakglass',
+    landWhenGreen: 'land-when-green',
+    landed: 'Landed',
+  },
+  releaseTitlePrefix: 'Release ',
+  // repo name -> `conventional`, or a regex
+  titlePolicies: {},
+};
+
+/**
+ * Value validators, along with a description of what
+ * they expect for error messages
+ *
+ * @type {Object<string, [(value: *) => boolean, string]>}
+ */
+const TYPES = {
+  boolean: [value => typeof value === 'boolean', 'must be `true` or `false`'],
+  count: [
+    value => Number.isInteger(value) && value >= 0,
+    'must be a whole number',
+  ],
+  string: [isNonEmptyString, 'must be a non-empty string'],
+  templateMap: [
+    value =>
+      isPlainObject(value) &&
+      Object.entries(value).every(
+        ([repoName, template]) =>
+          /^[\w.-]+\/[\w.-]+$/.test(repoName) && isNonEmptyString(template),
+      ),
+    'must be a mapping of `org/repo` names to templates',
+  ],
+  titlePolicyMap: [
+    value =>
+      isPlainObject(value) &&
+      Object.entries(value).every(
+        ([repoName, policy]) =>
+          /^[\w.-]+\/[\w.-]+$/.test(repoName) && isValidTitlePolicy(policy),
+      ),
+    'must be a mapping of `org/repo` names to `conventional` or a regex',
+  ],
+  teamList: [
+    value =>
+      Array.isArray(value) &&
+      value.every(team => /^[^/\s]+\/[^/\s]+$/.test(team)),
+    'must be a list of teams in `org/team-slug` format',
+  ],
+  userList: [
+    value => Array.isArray(value) && value.every(isNonEmptyString),
+    'must be a list of usernames',
+  ],
+};
+
+/**
+ * Expected type of each option; nested objects are groups of options
+ */
+const SCHEMA = {
+  approval: {
+    blockOnChangesRequested: 'boolean',
+    dismissStaleApprovals: 'boolean',
+    requiredApprovals: 'count',
+    requiredTeams: 'teamList',
+    requireWriteAccess: 'boolean',
+  },
+  breakglass: {
+    teams: 'teamList',
+    users: 'userList',
+  },
+  branchPrefixes: {
+    import: 'string',
+    land: 'string',
+    revert: 'string',
+  },
+  commitMessageTemplates: 'templateMap',
+  imports: {
+    coAuthorBots: 'boolean',
+    coAuthors: 'boolean',
+    mirrorReviews: 'boolean',
+    reopenOnClose: 'boolean',
+  },
+  labels: {
+    breakglass: 'string',
+    landWhenGreen: 'string',
+    landed: 'string',
+  },
+  releaseTitlePrefix: 'string',
+  titlePolicies: 'titlePolicyMap',
+};
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidTitlePolicy(value) {
+  if (value === 'conventional') return true;
+  if (!isNonEmptyString(value)) return false;
+
+  try {
+    new RegExp(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @param {*} config
+ * @param {Object<string, *>} schema
+ * @param {string} [keyPrefix] e.g. `labels.` for nested options
+ * @returns {string[]}
+ */
+function validateAgainstSchema(config, schema, keyPrefix = '') {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(config)) {
+    const type = schema[key];
+    const keyName = keyPrefix + key;
+
+    if (!type) {
+      errors.push(`Unknown option \`${keyName}\``);
+    } else if (typeof type === 'object') {
+      if (isPlainObject(value)) {
+        errors.push(...validateAgainstSchema(value, type, `${keyName}.`));
+      } else {
+        errors.push(`\`${keyName}\` must be a mapping of options`);
+      }
+    } else {
+      const [isValid, description] = TYPES[type];
+
+      if (!isValid(value)) {
+        errors.push(`\`${keyName}\` ${description}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed config object, without defaults applied
+ *
+ * @param {*} config
+ * @returns {string[]} human-readable errors; empty if valid
+ */
+function validateConfig(config) {
+  if (!isPlainObject(config)) {
+    return ['Config must be a mapping of options'];
+  }
+
+  return validateAgainstSchema(config, SCHEMA);
+}
+
+/**
+ * Apply defaults to a (valid) parsed config object
+ *
+ * @param {*} [config]
+ * @returns {USyncAppConfig}
+ */
+function resolveConfig(config) {
+  config = config || {};
+
+  return Object.entries(DEFAULT_CONFIG).reduce((result, [key, value]) => {
+    result[key] = isPlainObject(value)
+      ? {...value, ...config[key]}
+      : key in config
+      ? config[key]
+      : value;
+
+    return result;
+  }, {});
+}
+
+/**
+ * Read `.github/usync.yml` from the provided repo. A missing
+ * file results in the default config
+ *
+ * @param {string} repoName
+ * @returns {Promise<{
+ *   config?: USyncAppConfig,
+ *   errors?: string[],
+ * }>}
+ */
+async function loadConfig(repoName) {
+  let content;
+  let parsed;
+
+  try {
+    content = await getFileContent(repoName, CONFIG_PATH);
+  } catch (error) {
+    if (error.status === 404) {
+      return {config: resolveConfig()};
+    }
+
+    throw error;
+  }
+
+  try {
+    parsed = yaml.safeLoad(content || '');
+  } catch (error) {
+    return {errors: [`Unable to parse YAML: ${error.message}`]};
+  }
+
+  // empty file
+  if (parsed === undefined || parsed === null) {
+    return {config: resolveConfig()};
+  }
+
+  const errors = validateConfig(parsed);
+
+  return errors.length ? {errors} : {config: resolveConfig(parsed)};
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  loadConfig,
+  resolveConfig,
+  validateConfig,
+};
@@ -0,0 +1,83 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {DEFAULT_CONFIG, resolveConfig, validateConfig} = require('./config.js');
+
+test('validateConfig', () => {
+  expect(validateConfig({})).toEqual([]);
+  expect(
+    validateConfig({
+      branchPrefixes: {import: 'external/'},
+      labels: {breakglass: 'emergency', landed: 'merged'},
+      releaseTitlePrefix: 'Version ',
+    }),
+  ).toEqual([]);
+
+  expect(validateConfig('foo')).toEqual([
+    'Config must be a mapping of options',
+  ]);
+  expect(
+    validateConfig({
+      baseBranch: 'main',
+      branchPrefixes: {imports: 'foo/'},
+      labels: {landed: ''},
+      releaseTitlePrefix: 1,
+    }),
+  ).toEqual([
+    'Unknown option `baseBranch`',
+    'Unknown option `branchPrefixes.imports`',
+    '`labels.landed` must be a non-empty string',
+    '`releaseTitlePrefix` must be a non-empty string',
+  ]);
+  expect(
+    validateConfig({
+      approval: {
+        requiredApprovals: 1.5,
+        requiredTeams: ['core'],
+        requireWriteAccess: 'yes',
+      },
+    }),
+  ).toEqual([
+    '`approval.requiredApprovals` must be a whole number',
+    '`approval.requiredTeams` must be a list of teams in `org/team-slug` format',
+    '`approval.requireWriteAccess` must be `true` or `false`',
+  ]);
+  expect(validateConfig({labels: ['Landed']})).toEqual([
+    '`labels` must be a mapping of options',
+  ]);
+  expect(
+    validateConfig({commitMessageTemplates: {'org/child': '{title}'}}),
+  ).toEqual([]);
+  expect(validateConfig({commitMessageTemplates: {child: '{title}'}})).toEqual([
+    '`commitMessageTemplates` must be a mapping of `org/repo` names to templates',
+  ]);
+  expect(
+    validateConfig({
+      titlePolicies: {'org/child': 'conventional', 'org/other': '^\\[\\w+\\] '},
+    }),
+  ).toEqual([]);
+  expect(validateConfig({titlePolicies: {'org/child': '(unclosed'}})).toEqual([
+    '`titlePolicies` must be a mapping of `org/repo` names to `conventional` or a regex',
+  ]);
+});
+
+test('resolveConfig', () => {
+  expect(resolveConfig()).toEqual(DEFAULT_CONFIG);
+  expect(
+    resolveConfig({
+      branchPrefixes: {import: 'external/'},
+      labels: {landed: 'merged'},
+    }),
+  ).toEqual({
+    ...DEFAULT_CONFIG,
+    branchPrefixes: {...DEFAULT_CONFIG.branchPrefixes, import: 'external/'},
+    labels: {
+      breakglass: 'breakglass',
+      landWhenGreen: 'land-when-green',
+      landed: 'merged',
+    },
+  });
+});
@@ -0,0 +1,212 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {evaluateApprovalPolicy} = require('./approval.js');
+const {checkTitlePolicies} = require('./commitMessageCheck.js');
+const {
+  generateCommitMessages,
+  withImportedAuthor,
+} = require('./commitMessageTemplate.js');
+const {findOpenReleasePR, isTeamMember, prHasLabel} = require('./github.js');
+const {getImportedPR} = require('./imports.js');
+const lang = require('./lang.js');
+const {getSyncTargets} = require('./syncTargets.js');
+
+// https://developer.github.com/v4/enum/mergestatestatus/
+const UP_TO_DATE_STATUSES = ['CLEAN', 'HAS_HOOKS'];
+
+/**
+ * @typedef {{
+ *   name: 'approval' | 'breakglass' | 'mergeable' | 'open' | 'releasePR' | 'titlePolicy' | 'upToDatePassing',
+ *   passed: boolean,
+ *   bypassed?: boolean,
+ *   conditional?: boolean,
+ *   details?: string[],
+ *   error?: string,
+ * }} GateResult
+ */
+
+/**
+ * @param {import('./config.js').USyncAppConfig['breakglass']} policy
+ * @param {string} username
+ * @returns {Promise<boolean>}
+ */
+async function canUseBreakglass(policy, username) {
+  if (!policy.users.length && !policy.teams.length) {
+    return true;
+  }
+
+  if (policy.users.includes(username)) {
+    return true;
+  }
+
+  const memberships = await Promise.all(
+    policy.teams.map(team => isTeamMember(team, username)),
+  );
+
+  return memberships.includes(true);
+}
+
+/**
+ * Evaluate the checks a pull request must pass before running
+ * `!import` or `!land` on it. Results are in the order they should
+ * be reported
+ *
+ * @param {{
+ *   breakglassReason?: string,
+ *   command: string,
+ *   commenter: string,
+ *   config: import('./config.js').USyncAppConfig,
+ *   pullRequest: *,
+ *   requireUpToDate?: boolean,
+ * }} opts `requireUpToDate` defaults to whether the commenter is the
+ *   pull request's author
+ * @returns {Promise<GateResult[]>}
+ */
+async function evaluateGates(opts) {
+  const {breakglassReason, command, commenter, config, pullRequest} = opts;
+  const commandName = command.slice(1);
+  const results = [
+    {
+      name: 'open',
+      passed: pullRequest.state === 'OPEN',
+      error: lang.error_PRNotOpen(commandName),
+    },
+    {
+      name: 'mergeable',
+      passed: pullRequest.mergeable === 'MERGEABLE',
+      error: lang.error_branchNotMergeable(commandName),
+    },
+  ];
+
+  if (command === '!land') {
+    // authors landing their own pull request must wait for status checks
+    const requireUpToDate =
+      opts.requireUpToDate === undefined
+        ? commenter === pullRequest.author.login
+        : opts.requireUpToDate;
+    const upToDatePassing =
+      !requireUpToDate ||
+      UP_TO_DATE_STATUSES.includes(pullRequest.mergeStateStatus);
+    const approvalProblems = await evaluateApprovalPolicy({
+      policy: config.approval,
+      pullRequest,
+    });
+    const hasApproval = !approvalProblems.length;
+    const needsBreakglass = !hasApproval || !upToDatePassing;
+    let hasBreakglass = false;
+
+    // breakglass is requested via the `--breakglass` flag or the label,
+    // but either way requires a reason
+    if (
+      needsBreakglass &&
+      (breakglassReason ||
+        (await prHasLabel(pullRequest, config.labels.breakglass)))
+    ) {
+      const isAllowed = await canUseBreakglass(config.breakglass, commenter);
+
+      hasBreakglass = Boolean(breakglassReason) && isAllowed;
+      results.push({
+        name: 'breakglass',
+        passed: hasBreakglass,
+        error: !breakglassReason
+          ? lang.error_breakglassReasonRequired(commandName)
+          : lang.error_breakglassNotAllowed(commandName),
+      });
+    }
+
+    if (requireUpToDate) {
+      results.push({
+        name: 'upToDatePassing',
+        passed: upToDatePassing || hasBreakglass,
+        bypassed: !upToDatePassing && hasBreakglass,
+        details: upToDatePassing
+          ? []
+          : [lang.gate_mergeState(pullRequest.mergeStateStatus)],
+        error: lang.error_upToDatePassing(commandName),
+      });
+    }
+
+    results.push({
+      name: 'approval',
+      passed: hasApproval || hasBreakglass,
+      bypassed: !hasApproval && hasBreakglass,
+      details: approvalProblems,
+      error: lang.error_approval(commandName, approvalProblems),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Landing is restricted while a release pull request is open
+ *
+ * @param {{
+ *   config: import('./config.js').USyncAppConfig,
+ *   context: *,
+ * }} opts
+ * @returns {Promise<GateResult>}
+ */
+async function evaluateReleaseGate({config, context}) {
+  const releasePR = await findOpenReleasePR(context, config.releaseTitlePrefix);
+
+  return {
+    name: 'releasePR',
+    passed: !releasePR,
+    error: releasePR && lang.error_noLandDuringRelease(releasePR.url),
+  };
+}
+
+/**
+ * Repos with a title policy (e.g. to generate changelogs) only accept
+ * commits whose title follows it
+ *
+ * @param {{
+ *   command: string,
+ *   config: import('./config.js').USyncAppConfig,
+ *   pullRequest: *,
+ * }} opts `pullRequest` from `getPullRequestInfo`, in the parent repo
+ * @returns {Promise<GateResult>}
+ */
+async function evaluateTitlePolicyGate({command, config, pullRequest}) {
+  let problems = [];
+
+  if (Object.keys(config.titlePolicies).length) {
+    const isFork =
+      pullRequest.repoName !== pullRequest.headRepository.nameWithOwner;
+    const [{affectedRepos}, importedPR] = await Promise.all([
+      getSyncTargets(pullRequest),
+      withImportedAuthor(config, getImportedPR({config, isFork, pullRequest})),
+    ]);
+
+    problems = checkTitlePolicies({
+      affectedRepos,
+      body: pullRequest.body,
+      commitMessages: generateCommitMessages(
+        pullRequest,
+        importedPR,
+        [],
+        config.commitMessageTemplates,
+      ),
+      policies: config.titlePolicies,
+      templates: config.commitMessageTemplates,
+    });
+  }
+
+  return {
+    name: 'titlePolicy',
+    passed: !problems.length,
+    details: problems,
+    error: lang.error_titlePolicy(command.slice(1), problems),
+  };
+}
+
+module.exports = {
+  evaluateGates,
+  evaluateReleaseGate,
+  evaluateTitlePolicyGate,
+};
@@ -0,0 +1,235 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {DEFAULT_CONFIG} = require('./config.js');
+const {evaluateGates} = require('./gates.js');
+const {isTeamMember, prHasLabel} = require('./github.js');
+const lang = require('./lang.js');
+
+jest.mock('./github.js');
+
+/**
+ * @param {*} [fields]
+ * @returns {*} an open, approved, mergeable pull request that's
+ *   up-to-date with its base branch
+ */
+function createPR(fields = {}) {
+  return {
+    author: {login: 'author'},
+    mergeable: 'MERGEABLE',
+    mergeStateStatus: 'CLEAN',
+    repoName: 'org/parent',
+    reviews: {nodes: [{author: {login: 'reviewer'}, state: 'APPROVED'}]},
+    state: 'OPEN',
+    ...fields,
+  };
+}
+
+/**
+ * @param {*} opts for `evaluateGates`
+ * @returns {Promise<Array<[string, boolean]>>} each gate's name and
+ *   whether it passed, in the order they're reported
+ */
+async function evaluate(opts) {
+  const gates = await evaluateGates({
+    command: '!land',
+    commenter: 'author',
+    config: DEFAULT_CONFIG,
+    pullRequest: createPR(),
+    ...opts,
+  });
+
+  return gates.map(({name, passed}) => [name, passed]);
+}
+
+beforeEach(() => {
+  prHasLabel.mockResolvedValue(false);
+});
+
+test('evaluateGates', async () => {
+  expect(await evaluate()).toEqual([
+    ['open', true],
+    ['mergeable', true],
+    ['upToDatePassing', true],
+    ['approval', true],
+  ]);
+  expect(
+    await evaluate({
+      pullRequest: createPR({
+        mergeable: 'CONFLICTING',
+        mergeStateStatus: 'BEHIND',
+        reviews: {nodes: []},
+        state: 'CLOSED',
+      }),
+    }),
+  ).toEqual([
+    ['open', false],
+    ['mergeable', false],
+    ['upToDatePassing', false],
+    ['approval', false],
+  ]);
+
+  // `!import` doesn't need approval or passing checks
+  expect(
+    await evaluate({
+      command: '!import',
+      pullRequest: createPR({
+        mergeStateStatus: 'BLOCKED',
+        reviews: {nodes: []},
+      }),
+    }),
+  ).toEqual([['open', true], ['mergeable', true]]);
+
+  const [, , upToDateGate] = await evaluateGates({
+    command: '!land',
+    commenter: 'author',
+    config: DEFAULT_CONFIG,
+    pullRequest: createPR({mergeStateStatus: 'BLOCKED'}),
+  });
+
+  expect(upToDateGate).toEqual({
+    name: 'upToDatePassing',
+    passed: false,
+    bypassed: false,
+    details: [lang.gate_mergeState('BLOCKED')],
+    error: lang.error_upToDatePassing('land'),
+  });
+});
+
+test('evaluateGates requireUpToDate', async () => {
+  const pullRequest = createPR({mergeStateStatus: 'BEHIND'});
+
+  // only authors landing their own pull request wait for checks
+  expect(await evaluate({pullRequest})).toContainEqual([
+    'upToDatePassing',
+    false,
+  ]);
+  expect(await evaluate({commenter: 'reviewer', pullRequest})).toEqual([
+    ['open', true],
+    ['mergeable', true],
+    ['approval', true],
+  ]);
+
+  // unless overridden (e.g. `!land --when-green` always waits)
+  expect(
+    await evaluate({commenter: 'reviewer', pullRequest, requireUpToDate: true}),
+  ).toContainEqual(['upToDatePassing', false]);
+  expect(
+    await evaluate({pullRequest, requireUpToDate: false}),
+  ).not.toContainEqual(['upToDatePassing', false]);
+
+  for (const mergeStateStatus of ['CLEAN', 'HAS_HOOKS']) {
+    expect(
+      await evaluate({pullRequest: createPR({mergeStateStatus})}),
+    ).toContainEqual(['upToDatePassing', true]);
+  }
+});
+
+describe('evaluateGates breakglass', () => {
+  const config = {
+    ...DEFAULT_CONFIG,
+    breakglass: {teams: ['org/oncall'], users: ['lead']},
+  };
+  const pullRequest = createPR({
+    mergeStateStatus: 'BLOCKED',
+    reviews: {nodes: []},
+  });
+
+  beforeEach(() => {
+    isTeamMember.mockImplementation(
+      async (team, username) => team === 'org/oncall' && username === 'oncall',
+    );
+  });
+
+  test('bypasses failing gates for allowed users', async () => {
+    for (const commenter of ['lead', 'oncall']) {
+      const gates = await evaluateGates({
+        breakglassReason: 'prod outage',
+        command: '!land',
+        commenter,
+        config,
+        pullRequest,
+        requireUpToDate: true,
+      });
+
+      expect(
+        gates.map(({bypassed, name, passed}) => [name, passed, bypassed]),
+      ).toEqual([
+        ['open', true, undefined],
+        ['mergeable', true, undefined],
+        ['breakglass', true, undefined],
+        ['upToDatePassing', true, true],
+        ['approval', true, true],
+      ]);
+    }
+  });
+
+  test('anyone can use it without a breakglass policy', async () => {
+    expect(
+      await evaluate({
+        breakglassReason: 'prod outage',
+        commenter: 'reviewer',
+        pullRequest,
+      }),
+    ).toEqual([
+      ['open', true],
+      ['mergeable', true],
+      ['breakglass', true],
+      ['approval', true],
+    ]);
+  });
+
+  test('refuses other users', async () => {
+    const gates = await evaluateGates({
+      breakglassReason: 'prod outage',
+      command: '!land',
+      commenter: 'stranger',
+      config,
+      pullRequest,
+    });
+
+    expect(gates.filter(gate => !gate.passed)).toEqual([
+      expect.objectContaining({
+        name: 'breakglass',
+        error: lang.error_breakglassNotAllowed('land'),
+      }),
+      expect.objectContaining({name: 'approval', bypassed: false}),
+    ]);
+    expect(isTeamMember).toHaveBeenCalledWith('org/oncall', 'stranger');
+  });
+
+  test('requires a reason', async () => {
+    // requested via the label instead of `--breakglass`
+    prHasLabel.mockImplementation(
+      async (pullRequestOpt, label) => label === 'breakglass',
+    );
+
+    const gates = await evaluateGates({
+      command: '!land',
+      commenter: 'lead',
+      config,
+      pullRequest,
+    });
+
+    expect(gates.filter(gate => !gate.passed)).toEqual([
+      expect.objectContaining({
+        name: 'breakglass',
+        error: lang.error_breakglassReasonRequired('land'),
+      }),
+      expect.objectContaining({name: 'approval', bypassed: false}),
+    ]);
+  });
+
+  test('only when a gate fails', async () => {
+    expect(
+      await evaluate({
+        breakglassReason: 'prod outage',
+        commenter: 'stranger',
+        config,
+      }),
+    ).toEqual([['open', true], ['mergeable', true], ['approval', true]]);
+  });
+});
@@ -7,12 +7,24 @@
 const get = require('just-safe-get');
 const pick = require('just-pick');
 const {GitHubAPI, ProbotOctokit} = require('probot/lib/github');
+const {logger} = require('probot/lib/logger');
+const {API_URL} = require('./githubUrls.js');
 const OctokitAuthPlugin = require('./OctokitAuthPlugin.js');
+const OctokitRetryPlugin = require('./OctokitRetryPlugin.js');
 
 // same as probot's `context.github` instance, but specially
-// authorized via the custom plugin
+// authorized via the custom plugin. Failed requests are retried by
+// `OctokitRetryPlugin` instead of probot's retry/throttling plugins,
+// which are only used to space out requests
 const github = new GitHubAPI({
-  Octokit: ProbotOctokit.plugin([OctokitAuthPlugin]),
+  Octokit: ProbotOctokit.plugin([OctokitAuthPlugin, OctokitRetryPlugin]),
+  baseUrl: API_URL,
+  logger,
+  retry: {enabled: false},
+  throttle: {
+    onAbuseLimit: () => false,
+    onRateLimit: () => false,
+  },
 });
 
 /**
@@ -29,6 +41,16 @@ const github = new GitHubAPI({
  * }} PullRequestOpt
  */
 
+const REVIEW_FIELDS = `
+  author {
+    login
+  }
+  commit {
+    oid
+  }
+  state
+`;
+
 /**
  * @param {ProbotContextType} context
  * @returns {Promise<PullRequestOpt & {
@@ -38,6 +60,7 @@ const github = new GitHubAPI({
  *   baseRefName: string,
  *   body: string,
  *   headRefName: string,
+ *   headRefOid: string,
  *   headRepository: {
  *     nameWithOwner: string,
  *   },
@@ -45,15 +68,27 @@ const github = new GitHubAPI({
  *   mergeStateStatus: 'BEHIND' | 'BLOCKED' | 'CLEAN' | 'DIRTY' | 'DRAFT' | 'HAS_HOOKS' | 'UNKNOWN' | 'UNSTABLE',
  *   reviews: {
  *     nodes: {
+ *       author: {
+ *         login: string,
+ *       },
+ *       commit: {
+ *         oid: string,
+ *       },
  *       state: 'APPROVED' | 'CHANGES_REQUESTED' | 'COMMENTED' | 'DISMISSED' | 'PENDING',
  *     }[],
  *   },
  *   state: 'CLOSED' | 'MERGED' | 'OPEN',
  *   title: string,
  *   url: string,
- * }>}
+ * }>} `reviews` contains all reviews, in chronological order
  */
 async function getPullRequestInfo({payload}) {
+  const variables = {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+    number: payload.issue.number,
+  };
+
   return github
     .graphql(
       `query($owner: String!, $repo: String!, $number: Int!) {
@@ -65,15 +100,20 @@ async function getPullRequestInfo({payload}) {
             baseRefName
             body
             headRefName
+            headRefOid
             headRepository {
               nameWithOwner
             }
             mergeable
             mergeStateStatus
             number
-            reviews(first: 10, states: [APPROVED]) {
+            reviews(first: 100) {
               nodes {
-                state
+                ${REVIEW_FIELDS}
+              }
+              pageInfo {
+                endCursor
+                hasNextPage
               }
             }
             state
@@ -83,9 +123,7 @@ async function getPullRequestInfo({payload}) {
         }
       }`,
       {
-        owner: payload.repository.owner.login,
-        repo: payload.repository.name,
-        number: payload.issue.number,
+        ...variables,
         headers: {
           // https://developer.github.com/v4/previews/#mergeinfopreview---more-detailed-information-about-a-pull-requests-merge-state
           accept: 'application/vnd.github.merge-info-preview+json',
@@ -97,6 +135,34 @@ async function getPullRequestInfo({payload}) {
         ...get(res, 'repository.pullRequest'),
         repoName: payload.repository.full_name,
       };
+      let {pageInfo} = result.reviews;
+
+      // fetch remaining reviews
+      while (pageInfo.hasNextPage) {
+        const reviews = await github
+          .graphql(
+            `query($owner: String!, $repo: String!, $number: Int!, $cursor: String!) {
+              repository(owner: $owner, name: $repo) {
+                pullRequest(number: $number) {
+                  reviews(first: 100, after: $cursor) {
+                    nodes {
+                      ${REVIEW_FIELDS}
+                    }
+                    pageInfo {
+                      endCursor
+                      hasNextPage
+                    }
+                  }
+                }
+              }
+            }`,
+            {...variables, cursor: pageInfo.endCursor},
+          )
+          .then(res => get(res, 'repository.pullRequest.reviews'));
+
+        result.reviews.nodes.push(...reviews.nodes);
+        pageInfo = reviews.pageInfo;
+      }
 
       // graphql api returns `null` for repos the app isn't installed on,
       // but REST doesn't. supplement the data via REST in this case
@@ -127,6 +193,68 @@ async function addComment(pullRequest, body) {
   });
 }
 
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {Promise<Array<{
+ *   body: string,
+ *   id: number,
+ *   user: {login: string},
+ * }>>} comments in chronological order
+ */
+async function getComments(pullRequest) {
+  const comments = [];
+
+  for (let page = 1; ; page++) {
+    const {data} = await github.request(
+      'GET /repos/:repoName/issues/:number/comments',
+      {
+        ...pick(pullRequest, ['repoName', 'number']),
+        page,
+        per_page: 100,
+      },
+    );
+
+    comments.push(...data);
+    if (data.length < 100) break;
+  }
+
+  return comments;
+}
+
+/**
+ * @param {{
+ *   id: number,
+ *   repoName: string,
+ * }} comment
+ * @param {string} body
+ * @returns {Promise<*>}
+ */
+async function updateComment(comment, body) {
+  return github.request('PATCH /repos/:repoName/issues/comments/:id', {
+    ...pick(comment, ['repoName', 'id']),
+    data: {body},
+  });
+}
+
+/**
+ * @param {{
+ *   id: number,
+ *   repoName: string,
+ * }} comment
+ * @param {'+1' | '-1' | 'confused' | 'eyes' | 'heart' | 'hooray' | 'laugh' | 'rocket'} content
+ * @returns {Promise<*>}
+ */
+async function addReaction(comment, content) {
+  return github.request('POST /repos/:repoName/issues/comments/:id/reactions', {
+    ...pick(comment, ['repoName', 'id']),
+    data: {content},
+    headers: {
+      // https://developer.github.com/v3/previews/#reactions
+      accept: 'application/vnd.github.squirrel-girl-preview+json',
+    },
+  });
+}
+
 /**
  * @param {PullRequestOpt} issue
  * @param {string} label
@@ -158,6 +286,73 @@ async function addLabel(issue, label) {
   });
 }
 
+/**
+ * @param {PullRequestOpt} issue
+ * @param {string} label
+ * @returns {Promise<void>}
+ */
+async function removeLabel(issue, label) {
+  try {
+    await github.request(
+      'DELETE /repos/:repoName/issues/:number/labels/:label',
+      {
+        ...pick(issue, ['repoName', 'number']),
+        label,
+      },
+    );
+  } catch (error) {
+    // the label was already removed
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} label
+ * @returns {Promise<Array<PullRequestOpt & {
+ *   headSha: string,
+ * }>>} open pull requests with the label
+ */
+async function getLabeledPullRequests(repoName, label) {
+  const [owner, repo] = repoName.split('/');
+  const pullRequests = [];
+  let after = null;
+
+  do {
+    const res = await github.graphql(
+      `query($owner: String!, $repo: String!, $label: String!, $after: String) {
+        repository(owner: $owner, name: $repo) {
+          pullRequests(first: 100, after: $after, labels: [$label], states: [OPEN]) {
+            nodes {
+              headRefOid
+              number
+            }
+            pageInfo {
+              endCursor
+              hasNextPage
+            }
+          }
+        }
+      }`,
+      {owner, repo, label, after},
+    );
+    const {nodes, pageInfo} = get(res, 'repository.pullRequests') || {
+      nodes: [],
+      pageInfo: {},
+    };
+
+    for (const {headRefOid, number} of nodes) {
+      pullRequests.push({headSha: headRefOid, number, repoName});
+    }
+
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+
+  return pullRequests;
+}
+
 /**
  * @param {PullRequestOpt} issue
  * @returns {Promise<*>}
@@ -171,6 +366,65 @@ async function closeIssue(issue) {
   });
 }
 
+/**
+ * @param {PullRequestOpt} issue
+ * @returns {Promise<*>}
+ */
+async function reopenIssue(issue) {
+  return github.request('PATCH /repos/:repoName/pulls/:number', {
+    ...pick(issue, ['repoName', 'number']),
+    data: {
+      state: 'open',
+    },
+  });
+}
+
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {Promise<Array<{
+ *   author: {id: number, login: string, type: string} | null,
+ *   commit: {
+ *     author: {email: string, name: string},
+ *   },
+ *   sha: string,
+ * }>>} commits in chronological order (up to 250); `author` is null
+ *   if the commit author's email isn't linked to a GitHub account
+ */
+async function getPullRequestCommits(pullRequest) {
+  const commits = [];
+
+  for (let page = 1; ; page++) {
+    const {data} = await github.request(
+      'GET /repos/:repoName/pulls/:number/commits',
+      {
+        ...pick(pullRequest, ['repoName', 'number']),
+        page,
+        per_page: 100,
+      },
+    );
+
+    commits.push(...data);
+    if (data.length < 100) break;
+  }
+
+  return commits;
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<{
+ *   id: number,
+ *   login: string,
+ *   name: string | null,
+ *   type: string,
+ * }>}
+ */
+async function getUser(username) {
+  const {data} = await github.request('GET /users/:username', {username});
+
+  return data;
+}
+
 /**
  * @param {PullRequestOpt} pullRequest
  * @param {string} branchName
@@ -203,14 +457,90 @@ async function createPullRequest(opts) {
     .then(res => res.data);
 }
 
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {Promise<import('@octokit/rest').PullsGetResponse>}
+ */
+async function getPullRequest(pullRequest) {
+  return github
+    .request('GET /repos/:repoName/pulls/:number', {
+      ...pick(pullRequest, ['repoName', 'number']),
+    })
+    .then(res => res.data);
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branchName branch in the same repo
+ * @returns {Promise<(PullRequestOpt & {url: string}) | void>} the open
+ *   pull request from the branch, if any
+ */
+async function findOpenPullRequest(repoName, branchName) {
+  const {data} = await github.request('GET /repos/:repoName/pulls', {
+    repoName,
+    head: `${repoName.split('/')[0]}:${branchName}`,
+    state: 'open',
+  });
+
+  if (data.length) {
+    return {
+      number: data[0].number,
+      repoName,
+      url: data[0].html_url,
+    };
+  }
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branchName
+ * @returns {Promise<string | void>} sha of the branch's latest commit;
+ *   void if the branch doesn't exist
+ */
+async function getBranchSha(repoName, branchName) {
+  try {
+    const {data} = await github.request(
+      'GET /repos/:repoName/git/ref/heads/:branchName',
+      {repoName, branchName},
+    );
+
+    return data.object.sha;
+  } catch (error) {
+    if (error.status === 404) return;
+    throw error;
+  }
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} base
+ * @param {string} head
+ * @returns {Promise<Array<{
+ *   commit: {message: string},
+ *   html_url: string,
+ *   sha: string,
+ * }>>} commits in `head` that aren't in `base`, oldest first (up
+ *   to 250)
+ */
+async function compareCommits(repoName, base, head) {
+  return github
+    .request('GET /repos/:repoName/compare/:base...:head', {
+      repoName,
+      base,
+      head,
+    })
+    .then(res => res.data.commits);
+}
+
 /**
  * @param {ProbotContextType} context
+ * @param {string} titlePrefix title prefix that identifies release PRs
  * @returns {(PullRequestOpt & {
  *   title: string,
  *   url: string,
  * }) | void}
  */
-async function findOpenReleasePR({payload}) {
+async function findOpenReleasePR({payload}, titlePrefix) {
   return github
     .graphql(
       `query($owner: String!, $repo: String!) {
@@ -231,7 +561,7 @@ async function findOpenReleasePR({payload}) {
     )
     .then(res => {
       const releasePR = (get(res, 'repository.pullRequests.nodes') || []).find(
-        pullRequest => pullRequest.title.startsWith('Release '),
+        pullRequest => pullRequest.title.startsWith(titlePrefix),
       );
 
       if (releasePR) {
@@ -246,25 +576,85 @@ async function findOpenReleasePR({payload}) {
 /**
  * @param {string} repoName
  * @param {string} filepath
+ * @param {string} [ref] defaults to the repo's default branch
  * @returns {string} raw text content
  */
-async function getFileContent(repoName, filepath) {
+async function getFileContent(repoName, filepath, ref) {
   const content = await github
     .request('GET /repos/:repoName/contents/:filepath', {
       repoName,
       filepath,
+      ...(ref ? {ref} : {}),
     })
     .then(res => get(res, 'data.content'));
 
   return content && Buffer.from(content, 'base64').toString('utf-8');
 }
 
+/**
+ * @param {{
+ *   data: {
+ *     conclusion: 'action_required' | 'failure' | 'neutral' | 'success',
+ *     head_sha: string,
+ *     name: string,
+ *     output: {
+ *       summary: string,
+ *       text?: string,
+ *       title: string,
+ *     },
+ *   },
+ *   repoName: string,
+ * }} opts
+ * @returns {Promise<*>}
+ */
+async function createCheckRun(opts) {
+  return github.request('POST /repos/:repoName/check-runs', {
+    ...opts,
+    data: {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      ...opts.data,
+    },
+    headers: {
+      accept: 'application/vnd.github.antiope-preview+json',
+    },
+  });
+}
+
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {Promise<string[]>} paths of all files changed
+ */
+async function getPullRequestFiles(pullRequest) {
+  const filenames = [];
+
+  // api returns a maximum of 3000 files
+  for (let page = 1; page <= 30; page++) {
+    const {data: files} = await github.request(
+      'GET /repos/:repoName/pulls/:number/files',
+      {
+        ...pick(pullRequest, ['repoName', 'number']),
+        page,
+        per_page: 100,
+      },
+    );
+
+    filenames.push(...files.map(file => file.filename));
+    if (files.length < 100) break;
+  }
+
+  return filenames;
+}
+
 /**
  * @param {string} body
  * @returns {{
- *   overrides: Object<string, string>,
- *   summary: string,
- * }}
+ *   malformedOverrides?: string[],
+ *   overrides?: Object<string, string>,
+ *   summary?: string,
+ * }} `summary` and `overrides` are undefined if their section is
+ *   missing; `malformedOverrides` contains override sections that
+ *   couldn't be parsed
  */
 function parsePRBody(body) {
   return (
@@ -281,6 +671,7 @@ function parsePRBody(body) {
         if (section.startsWith('## Summary')) {
           result.summary = content.replace('*No summary provided*', '').trim();
         } else if (section.startsWith('## Commit message overrides')) {
+          result.malformedOverrides = [];
           result.overrides = content
             .split(/^(?=\*\*[^*]+\*\*\n`{3,})/m)
             .reduce((overrides, section) => {
@@ -288,6 +679,8 @@ function parsePRBody(body) {
               const isValid = /^\*\*[^*]+\*\*.*\n`{3,}.*\n[\s\S]+\n`{3,}$/.test(
                 section,
               );
+              // repo names without an override (e.g. from the template)
+              const isPlaceholder = /^(\*\*[^*]+\*\*\s*)*$/.test(section);
 
               if (isValid) {
                 const lines = section.split('\n');
@@ -297,6 +690,8 @@ function parsePRBody(body) {
                 if (repoName && message) {
                   overrides[repoName] = message;
                 }
+              } else if (!isPlaceholder) {
+                result.malformedOverrides.push(section);
               }
 
               return overrides;
@@ -308,6 +703,41 @@ function parsePRBody(body) {
   );
 }
 
+/**
+ * @param {string} repoName
+ * @param {string} username
+ * @returns {Promise<'admin' | 'none' | 'read' | 'write'>}
+ */
+async function getUserPermission(repoName, username) {
+  return github
+    .request('GET /repos/:repoName/collaborators/:username/permission', {
+      repoName,
+      username,
+    })
+    .then(res => get(res, 'data.permission'));
+}
+
+/**
+ * @param {string} team in `org/team-slug` format
+ * @param {string} username
+ * @returns {Promise<boolean>}
+ */
+async function isTeamMember(team, username) {
+  const [org, teamSlug] = team.split('/');
+
+  try {
+    const {data} = await github.request(
+      'GET /orgs/:org/teams/:teamSlug/memberships/:username',
+      {org, teamSlug, username},
+    );
+
+    return data.state === 'active';
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
 /**
  * @param {PullRequestOpt} pullRequest
  * @param {string} label
@@ -359,13 +789,29 @@ async function mergeReleasePR(pullRequest) {
 module.exports = {
   addComment,
   addLabel,
+  addReaction,
   closeIssue,
+  compareCommits,
+  createCheckRun,
   createPullRequest,
   deleteBranch,
+  findOpenPullRequest,
   findOpenReleasePR,
+  getBranchSha,
+  getComments,
   getFileContent,
+  getLabeledPullRequests,
+  getPullRequest,
+  getPullRequestCommits,
+  getPullRequestFiles,
   getPullRequestInfo,
+  getUser,
+  getUserPermission,
+  isTeamMember,
   mergeReleasePR,
   parsePRBody,
   prHasLabel,
+  removeLabel,
+  reopenIssue,
+  updateComment,
 };
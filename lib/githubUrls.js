@@ -0,0 +1,53 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// hostname of a GitHub Enterprise Server instance (e.g.
+// `github.example.com`); same variable probot uses
+const {GHE_HOST} = process.env;
+
+const GITHUB_HOST = GHE_HOST || 'github.com';
+const GITHUB_URL = `https://${GITHUB_HOST}`;
+const API_URL = GHE_HOST ? `${GITHUB_URL}/api/v3` : 'https://api.github.com';
+const GRAPHQL_URL = GHE_HOST
+  ? `${GITHUB_URL}/api/graphql`
+  : `${API_URL}/graphql`;
+
+/**
+ * @param {string} repoName
+ * @param {string} [subpath] e.g. `pull/1`
+ * @returns {string}
+ */
+function getRepoUrl(repoName, subpath) {
+  return `${GITHUB_URL}/${repoName}${subpath ? `/${subpath}` : ''}`;
+}
+
+/**
+ * @param {{id: number, login: string}} user
+ * @returns {string} the user's private commit email address
+ */
+function getNoreplyEmail({id, login}) {
+  return `${id}+${login}@${
+    GHE_HOST ? `noreply.${GHE_HOST}` : 'users.noreply.github.com'
+  }`;
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} token
+ * @returns {string} URL for cloning/pushing the repo with git
+ */
+function getRemoteUrl(repoName, token) {
+  return `https://x-access-token:${token}@${GITHUB_HOST}/${repoName}.git`;
+}
+
+module.exports = {
+  API_URL,
+  GITHUB_URL,
+  GRAPHQL_URL,
+  getNoreplyEmail,
+  getRemoteUrl,
+  getRepoUrl,
+};
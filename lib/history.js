@@ -0,0 +1,185 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {performance} = require('perf_hooks');
+const {promisify} = require('util');
+const {logger} = require('probot/lib/logger');
+
+const appendFile = promisify(fs.appendFile);
+const readFile = promisify(fs.readFile);
+
+const HISTORY_PATH = path.resolve(
+  process.env.USYNC_HISTORY_PATH || 'usync-history.log',
+);
+
+/**
+ * @typedef {{
+ *   timestamp: string,
+ * } & Object<string, *>} HistoryRecord
+ *
+ * @typedef {{
+ *   limit?: number,
+ *   since?: Date,
+ * } & Object<string, *>} HistoryFilters other filters must equal
+ *   the record's top-level fields
+ *
+ * Any object implementing this interface can be passed to
+ * `setHistoryStore` (e.g. to store history in a database)
+ *
+ * @typedef {{
+ *   add: (record: HistoryRecord) => Promise<void>,
+ *   query: (filters?: HistoryFilters) => Promise<HistoryRecord[]>,
+ * }} HistoryStore
+ *
+ * @typedef {{
+ *   durationMs: number,
+ *   error?: string,
+ *   inputs: Object<string, *>,
+ *   number: number,
+ *   repoName: string,
+ *   result?: *,
+ *   success: boolean,
+ *   timestamp: string,
+ *   type: 'arm' | 'import' | 'land' | 'reimport' | 'revert',
+ *   user: string,
+ * }} OperationRecord
+ */
+
+/**
+ * Appends records to a file, one JSON object per line
+ *
+ * @implements {HistoryStore}
+ */
+class FileHistoryStore {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * @param {HistoryRecord} record
+   * @returns {Promise<void>}
+   */
+  async add(record) {
+    return appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * @param {HistoryFilters} [filters]
+   * @returns {Promise<HistoryRecord[]>} matching records, oldest first
+   */
+  async query(filters = {}) {
+    const {limit, since, ...fields} = filters;
+    let content;
+
+    try {
+      content = await readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(
+        record =>
+          (!since || new Date(record.timestamp) >= since) &&
+          Object.entries(fields).every(
+            ([key, value]) => value === undefined || record[key] === value,
+          ),
+      );
+
+    return limit ? records.slice(-limit) : records;
+  }
+}
+
+/** @type {HistoryStore} */
+let historyStore = new FileHistoryStore(HISTORY_PATH);
+/** @type {Set<Pick<OperationRecord, 'inputs' | 'number' | 'repoName' | 'timestamp' | 'type' | 'user'>>} */
+const IN_FLIGHT = new Set();
+
+/**
+ * @returns {HistoryStore}
+ */
+function getHistoryStore() {
+  return historyStore;
+}
+
+/**
+ * Replace the store that operations are recorded to
+ *
+ * @param {HistoryStore} store
+ */
+function setHistoryStore(store) {
+  historyStore = store;
+}
+
+/**
+ * @returns {Array<Pick<OperationRecord, 'inputs' | 'number' | 'repoName' | 'timestamp' | 'type' | 'user'>>}
+ *   operations currently running, oldest first
+ */
+function getInFlightOperations() {
+  return [...IN_FLIGHT];
+}
+
+/**
+ * Run an import, land or revert and record it, whether or not it succeeds.
+ * Failing to record never fails the operation itself, unless the
+ * record is `required` (e.g. it's read back later)
+ *
+ * @template T
+ * @param {Pick<OperationRecord, 'inputs' | 'number' | 'repoName' | 'type' | 'user'>} operation
+ * @param {() => Promise<T>} fn resolves with the operation's result
+ * @param {{required?: boolean}} [opts]
+ * @returns {Promise<T>}
+ */
+async function recordOperation(operation, fn, opts = {}) {
+  const inFlight = {timestamp: new Date().toISOString(), ...operation};
+  const start = performance.now();
+  let error;
+  let result;
+
+  IN_FLIGHT.add(inFlight);
+
+  try {
+    result = await fn();
+  } catch (e) {
+    error = e;
+  }
+
+  IN_FLIGHT.delete(inFlight);
+
+  try {
+    await historyStore.add({
+      ...inFlight,
+      durationMs: Math.round(performance.now() - start),
+      success: !error,
+      ...(error ? {error: error.message} : {result}),
+    });
+  } catch (e) {
+    logger.error(`error recording operation history: ${e.message}`);
+
+    if (opts.required && !error) throw e;
+  }
+
+  if (error) throw error;
+  return result;
+}
+
+module.exports = {
+  FileHistoryStore,
+  HISTORY_PATH,
+  getHistoryStore,
+  getInFlightOperations,
+  recordOperation,
+  setHistoryStore,
+};
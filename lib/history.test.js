@@ -0,0 +1,119 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FileHistoryStore,
+  getHistoryStore,
+  recordOperation,
+  setHistoryStore,
+} = require('./history.js');
+
+test('FileHistoryStore', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usync-history-'));
+  const store = new FileHistoryStore(path.join(tmpDir, 'history.log'));
+
+  expect(await store.query()).toEqual([]);
+
+  await store.add({timestamp: '2019-01-01T00:00:00.000Z', type: 'import'});
+  await store.add({timestamp: '2019-01-02T00:00:00.000Z', type: 'land'});
+  await store.add({timestamp: '2019-01-03T00:00:00.000Z', type: 'land'});
+
+  expect((await store.query()).length).toBe(3);
+  expect((await store.query({type: 'land'})).length).toBe(2);
+  expect(await store.query({limit: 1})).toEqual([
+    {timestamp: '2019-01-03T00:00:00.000Z', type: 'land'},
+  ]);
+  expect(
+    await store.query({since: new Date('2019-01-02'), type: 'import'}),
+  ).toEqual([]);
+});
+
+test('recordOperation', async () => {
+  const records = [];
+  const defaultStore = getHistoryStore();
+  const operation = {
+    type: 'land',
+    inputs: {headBranch: 'foo'},
+    number: 1,
+    repoName: 'org/parent',
+    user: 'foo',
+  };
+
+  setHistoryStore({
+    add: async record => records.push(record),
+    query: async () => records,
+  });
+
+  try {
+    expect(
+      await recordOperation(operation, async () => ({
+        'org/parent': {sha: 'abc'},
+      })),
+    ).toEqual({'org/parent': {sha: 'abc'}});
+    await expect(
+      recordOperation(operation, async () => {
+        throw new Error('push failed');
+      }),
+    ).rejects.toThrow('push failed');
+  } finally {
+    setHistoryStore(defaultStore);
+  }
+
+  expect(records).toEqual([
+    expect.objectContaining({
+      ...operation,
+      durationMs: expect.any(Number),
+      result: {'org/parent': {sha: 'abc'}},
+      success: true,
+      timestamp: expect.any(String),
+    }),
+    expect.objectContaining({
+      ...operation,
+      error: 'push failed',
+      success: false,
+    }),
+  ]);
+});
+
+test('recordOperation when the store fails', async () => {
+  const defaultStore = getHistoryStore();
+  const operation = {
+    type: 'arm',
+    inputs: {},
+    number: 1,
+    repoName: 'org/parent',
+    user: 'foo',
+  };
+
+  setHistoryStore({
+    add: async () => {
+      throw new Error('disk full');
+    },
+    query: async () => [],
+  });
+
+  try {
+    expect(await recordOperation(operation, async () => 'done')).toBe('done');
+    await expect(
+      recordOperation(operation, async () => 'done', {required: true}),
+    ).rejects.toThrow('disk full');
+    // the operation's own error takes precedence
+    await expect(
+      recordOperation(
+        operation,
+        async () => {
+          throw new Error('push failed');
+        },
+        {required: true},
+      ),
+    ).rejects.toThrow('push failed');
+  } finally {
+    setHistoryStore(defaultStore);
+  }
+});
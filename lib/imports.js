@@ -0,0 +1,53 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * @typedef {import('./github.js').PullRequestOpt} PullRequestOpt
+ */
+
+/**
+ * @param {{
+ *   config: import('./config.js').USyncAppConfig,
+ *   pullRequest: PullRequestOpt,
+ * }} opts
+ * @returns {string} branch in the parent repo that the pull request
+ *   is imported to (e.g. `imports/org/repo/1`)
+ */
+function getImportBranch({config, pullRequest}) {
+  return `${config.branchPrefixes.import}${pullRequest.repoName}/${pullRequest.number}`;
+}
+
+/**
+ * Imported pull requests are landed from branches named after the
+ * pull request they were imported from
+ *
+ * @param {{
+ *   config: import('./config.js').USyncAppConfig,
+ *   isFork: boolean,
+ *   pullRequest: *,
+ * }} opts
+ * @returns {PullRequestOpt | void}
+ */
+function getImportedPR({config, isFork, pullRequest}) {
+  if (
+    !isFork &&
+    pullRequest.headRefName.startsWith(config.branchPrefixes.import)
+  ) {
+    const [owner, repo, number] = pullRequest.headRefName
+      .slice(config.branchPrefixes.import.length)
+      .split('/');
+
+    return {
+      repoName: `${owner}/${repo}`,
+      number: parseInt(number),
+    };
+  }
+}
+
+module.exports = {
+  getImportBranch,
+  getImportedPR,
+};
@@ -0,0 +1,47 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {DEFAULT_CONFIG} = require('./config.js');
+const {getImportBranch, getImportedPR} = require('./imports.js');
+
+test('getImportBranch', () => {
+  expect(
+    getImportBranch({
+      config: DEFAULT_CONFIG,
+      pullRequest: {number: 1, repoName: 'foo/child'},
+    }),
+  ).toBe(`${DEFAULT_CONFIG.branchPrefixes.import}foo/child/1`);
+});
+
+test('getImportedPR', () => {
+  const headRefName = getImportBranch({
+    config: DEFAULT_CONFIG,
+    pullRequest: {number: 12, repoName: 'foo/child'},
+  });
+
+  expect(
+    getImportedPR({
+      config: DEFAULT_CONFIG,
+      isFork: false,
+      pullRequest: {headRefName},
+    }),
+  ).toEqual({number: 12, repoName: 'foo/child'});
+  // branches of the same name in forks aren't imports
+  expect(
+    getImportedPR({
+      config: DEFAULT_CONFIG,
+      isFork: true,
+      pullRequest: {headRefName},
+    }),
+  ).toBeUndefined();
+  expect(
+    getImportedPR({
+      config: DEFAULT_CONFIG,
+      isFork: false,
+      pullRequest: {headRefName: 'feature'},
+    }),
+  ).toBeUndefined();
+});
@@ -4,24 +4,70 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-const {USync} = require('usyncit');
+const get = require('just-safe-get');
+const pick = require('just-pick');
+const {Git, USync, USyncError} = require('usyncit');
+const {registerAdminRoutes} = require('./adminRoutes.js');
 const {
   addComment,
   addLabel,
   closeIssue,
+  compareCommits,
+  createCheckRun,
   createPullRequest,
   deleteBranch,
-  findOpenReleasePR,
+  getBranchSha,
   getFileContent,
+  getLabeledPullRequests,
+  getPullRequest,
   getPullRequestInfo,
   mergeReleasePR,
-  parsePRBody,
   prHasLabel,
+  removeLabel,
+  reopenIssue,
 } = require('./github.js');
+const {appendAuditLog} = require('./auditLog.js');
+const {getCoAuthorTrailers} = require('./coAuthors.js');
+const {
+  CHECK_NAME,
+  checkTitlePolicies,
+  lintPRBody,
+} = require('./commitMessageCheck.js');
+const {
+  generateCommitMessages,
+  withImportedAuthor,
+} = require('./commitMessageTemplate.js');
+const {loadConfig} = require('./config.js');
+const {clearInstallIDs} = require('./OctokitAuthPlugin.js');
+const {
+  evaluateGates,
+  evaluateReleaseGate,
+  evaluateTitlePolicyGate,
+} = require('./gates.js');
+const {getRemoteUrl} = require('./githubUrls.js');
+const {getImportBranch, getImportedPR} = require('./imports.js');
+const {getHistoryStore, recordOperation} = require('./history.js');
+const LandQueue = require('./LandQueue.js');
 const lang = require('./lang.js');
+const {GitHubRequestError} = require('./OctokitRetryPlugin.js');
 const ProbotCommands = require('./ProbotCommands.js');
+const ProgressComment = require('./ProgressComment.js');
+const {findLandedRepos, revertCommit} = require('./revert.js');
+const {registerReviewMirroring} = require('./reviewMirroring.js');
+const {getSyncTargets} = require('./syncTargets.js');
+const {findParentRepo} = require('./usyncConfig.js');
+
+const {APP_ID, GH_TOKEN, USYNC_PARENT_REPO} = process.env;
+// one or more parent monorepos (comma-separated), each syncing to its
+// own child repos
+const PARENT_REPOS = (USYNC_PARENT_REPO || '')
+  .split(',')
+  .map(repoName => repoName.trim())
+  .filter(Boolean);
 
-const {USYNC_PARENT_REPO} = process.env;
+Git.configure({
+  getRemoteUrl: repoName => getRemoteUrl(repoName, GH_TOKEN),
+});
 
 /**
  * @typedef {{
@@ -30,41 +76,234 @@ const {USYNC_PARENT_REPO} = process.env;
  * }} PullRequestOpt
  */
 
+// gates that waiting won't fix, so `!land --when-green` gives up
+const UNLANDABLE_GATES = ['breakglass', 'open', 'titlePolicy'];
+
+/**
+ * `mergeable` is computed lazily by GitHub, so it's often `UNKNOWN`
+ * right after the base branch changes (e.g. after a previous land).
+ * Retry a few times until it settles
+ *
+ * @param {*} context
+ * @returns {ReturnType<typeof getPullRequestInfo>}
+ */
+async function getMergeablePullRequestInfo(context) {
+  let pullRequest = await getPullRequestInfo(context);
+
+  for (let i = 0; i < 3 && pullRequest.mergeable === 'UNKNOWN'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    pullRequest = await getPullRequestInfo(context);
+  }
+
+  return pullRequest;
+}
+
 /**
- * Parse summary and overrides from pull request body
- * and generate commit messages for the involved
- * repos
+ * Land a pull request via uSync and update it (and the pull request
+ * it was imported from, if any) with the results
  *
- * @param {PullRequestOpt & {
- *   body: string,
- *   title: string,
- * }} pullRequest
- * @param {PullRequestOpt} [importedPR]
- * @returns {{
- *   generic: string,
- * } & Object<string, string>} map of repo names to commit messages
+ * @param {{
+ *   breakglass?: {
+ *     reason: string,
+ *     user: string,
+ *   },
+ *   config: import('./config.js').USyncAppConfig,
+ *   importedPR?: PullRequestOpt,
+ *   isFork: boolean,
+ *   keepBranch?: boolean,
+ *   progress: ProgressComment,
+ *   pullRequest: *,
+ *   sync: USync,
+ *   user: string,
+ * }} opts
+ * @returns {Promise<void>}
  */
-function generateCommitMessages(pullRequest, importedPR) {
-  const PRRefs = [pullRequest, importedPR].filter(Boolean);
-  const {overrides, summary} = parsePRBody(pullRequest.body);
-  const result = {
-    generic: pullRequest.title + (summary ? `\n\n${summary}` : ''),
-    ...overrides,
+async function landPullRequest(opts) {
+  const {breakglass, config, importedPR, isFork, keepBranch} = opts;
+  const {progress, pullRequest, sync, user} = opts;
+  const [coAuthorTrailers, importedPRWithAuthor] = await Promise.all([
+    importedPR ? getCoAuthorTrailers({config, pullRequest: importedPR}) : [],
+    withImportedAuthor(config, importedPR),
+  ]);
+  const trailers = [
+    ...(breakglass ? [`Breakglass: ${breakglass.reason}`] : []),
+    ...coAuthorTrailers,
+  ];
+  const landOpts = {
+    commitMessages: generateCommitMessages(
+      pullRequest,
+      importedPRWithAuthor,
+      trailers,
+      config.commitMessageTemplates,
+    ),
+    fallbackBranch: `${config.branchPrefixes.land}${pullRequest.number}`,
+    headRepoName: pullRequest.headRepository.nameWithOwner,
+    headBranch: pullRequest.headRefName,
   };
+  await progress.setStatus(lang.progress_landing());
 
-  for (const {number, repoName} of PRRefs) {
-    result[repoName] = (result[repoName] || result.generic)
-      .split('\n')
-      .map((line, i) => {
-        if (i === 0) {
-          line += ` (#${number})\nhttps://github.com/${repoName}/pull/${number}`;
-        }
-        return line;
-      })
-      .join('\n');
+  const landedRepos = await recordOperation(
+    {
+      type: 'land',
+      inputs: {...landOpts, breakglass, importedPR},
+      number: pullRequest.number,
+      repoName: pullRequest.repoName,
+      user,
+    },
+    () => sync.land(landOpts),
+  );
+
+  for (const repoName of Object.keys(landedRepos).sort()) {
+    await progress.completeStep(
+      lang.progress_landedRepo(repoName, landedRepos[repoName].sha),
+    );
   }
 
-  return result;
+  await Promise.all([
+    // update this pull request
+    (async () => {
+      await closeIssue(pullRequest);
+      await addLabel(pullRequest, config.labels.landed);
+      await progress.completeStep(
+        lang.progress_closedAndLabeled(config.labels.landed),
+      );
+
+      if (!isFork && !keepBranch) {
+        await deleteBranch(pullRequest, pullRequest.headRefName);
+        await progress.completeStep(
+          lang.progress_branchDeleted(pullRequest.headRefName),
+        );
+      }
+    })(),
+    // update originally imported pull request
+    (async () => {
+      if (!importedPR || !landedRepos[importedPR.repoName]) {
+        return;
+      }
+
+      await addLabel(importedPR, config.labels.landed);
+      await addComment(
+        importedPR,
+        lang.notify_landedRepo(landedRepos, importedPR.repoName),
+      );
+      await progress.completeStep(lang.progress_updatedImportedPR(importedPR));
+    })(),
+    // record breakglass usage
+    (async () => {
+      if (!breakglass) return;
+
+      await appendAuditLog({
+        type: 'breakglass',
+        landedRepos,
+        number: pullRequest.number,
+        reason: breakglass.reason,
+        repoName: pullRequest.repoName,
+        user: breakglass.user,
+      });
+    })(),
+  ]);
+
+  await progress.succeed(
+    breakglass
+      ? lang.notify_breakglassUsed(breakglass.user, breakglass.reason)
+      : lang.progress_landed(),
+  );
+}
+
+/**
+ * Publish a check run reporting problems with commit message
+ * overrides, along with a preview of each repo's commit message
+ *
+ * @param {*} context `pull_request` event context
+ * @returns {Promise<*>}
+ */
+async function publishCommitMessageCheck(context) {
+  const {pull_request: payloadPR, repository} = context.payload;
+  const pullRequest = {
+    author: {login: payloadPR.user.login},
+    body: payloadPR.body || '',
+    headRefName: payloadPR.head.ref,
+    number: payloadPR.number,
+    repoName: repository.full_name,
+    title: payloadPR.title,
+  };
+  // only published for pull requests in parent repos
+  const parentRepoName = pullRequest.repoName;
+  const checkRun = {
+    repoName: pullRequest.repoName,
+    data: {
+      head_sha: payloadPR.head.sha,
+      name: CHECK_NAME,
+    },
+  };
+  const {config, errors: configErrors} = await loadConfig(parentRepoName);
+
+  if (configErrors) {
+    return createCheckRun({
+      ...checkRun,
+      data: {
+        ...checkRun.data,
+        conclusion: 'failure',
+        output: lang.checkRun_invalidConfig(configErrors),
+      },
+    });
+  }
+
+  let syncTargets;
+
+  try {
+    syncTargets = await getSyncTargets(pullRequest);
+  } catch (error) {
+    return createCheckRun({
+      ...checkRun,
+      data: {
+        ...checkRun.data,
+        conclusion: 'failure',
+        output: lang.checkRun_unknownSyncTargets(error),
+      },
+    });
+  }
+
+  const {affectedRepos, mapping} = syncTargets;
+  const isFork = pullRequest.repoName !== get(payloadPR, 'head.repo.full_name');
+  const importedPR = getImportedPR({config, isFork, pullRequest});
+  const [coAuthorTrailers, importedPRWithAuthor] = await Promise.all([
+    importedPR ? getCoAuthorTrailers({config, pullRequest: importedPR}) : [],
+    withImportedAuthor(config, importedPR),
+  ]);
+  const commitMessages = generateCommitMessages(
+    pullRequest,
+    importedPRWithAuthor,
+    coAuthorTrailers,
+    config.commitMessageTemplates,
+  );
+  const problems = [
+    ...lintPRBody({
+      body: pullRequest.body,
+      parentRepoName,
+      syncedRepos: Object.keys(mapping),
+    }),
+    ...checkTitlePolicies({
+      affectedRepos,
+      body: pullRequest.body,
+      commitMessages,
+      policies: config.titlePolicies,
+      templates: config.commitMessageTemplates,
+    }),
+  ];
+
+  return createCheckRun({
+    ...checkRun,
+    data: {
+      ...checkRun.data,
+      conclusion: problems.length ? 'failure' : 'success',
+      output: lang.checkRun_commitMessages({
+        affectedRepos,
+        commitMessages,
+        problems,
+      }),
+    },
+  });
 }
 
 /**
@@ -72,118 +311,653 @@ function generateCommitMessages(pullRequest, importedPR) {
  */
 function ProbotApp(app) {
   const commands = new ProbotCommands(app);
-  const sync = new USync(USYNC_PARENT_REPO);
+  const landQueue = new LandQueue();
+  const syncs = new Map(
+    PARENT_REPOS.map(repoName => [repoName, new USync(repoName)]),
+  );
+
+  registerAdminRoutes(app, {landQueue, parentRepoNames: PARENT_REPOS});
+  registerReviewMirroring(app, {parentRepoNames: PARENT_REPOS});
 
-  commands.on(['!import', '!land', '!merge'], async (context, command) => {
+  /**
+   * @param {*} context
+   * @param {import('./ProbotCommands.js').CommandArgs['flags']} [flags]
+   *   `!land` flags
+   * @returns {Promise<*>}
+   */
+  async function previewLand(context, flags = {}) {
     const {payload} = context;
     const pullRequest = await getPullRequestInfo(context);
-    const commandName = command.slice(1);
-    const isFork =
-      payload.repository.full_name !== pullRequest.headRepository.nameWithOwner;
+    const parentRepoName = payload.repository.full_name;
+
+    if (!PARENT_REPOS.includes(parentRepoName)) {
+      return addComment(
+        pullRequest,
+        lang.error_mustPreviewFromParent(
+          await findParentRepo(PARENT_REPOS, parentRepoName),
+        ),
+      );
+    }
 
-    if (command === '!merge') {
-      const suggestedCommand =
-        payload.repository.full_name === USYNC_PARENT_REPO
-          ? '!land'
-          : '!import';
+    const {config, errors: configErrors} = await loadConfig(parentRepoName);
 
+    if (configErrors) {
       return addComment(
         pullRequest,
-        lang.error_mergeCommandNotSupported(suggestedCommand),
+        lang.error_invalidConfig('preview', configErrors),
       );
     }
 
-    if (pullRequest.state !== 'OPEN') {
-      return addComment(pullRequest, lang.error_PRNotOpen(commandName));
+    const isFork =
+      payload.repository.full_name !== pullRequest.headRepository.nameWithOwner;
+    const importedPR = getImportedPR({config, isFork, pullRequest});
+    const [
+      gates,
+      releaseGate,
+      titlePolicyGate,
+      {affectedRepos},
+      coAuthorTrailers,
+      importedPRWithAuthor,
+    ] = await Promise.all([
+      evaluateGates({
+        breakglassReason: flags.breakglass,
+        command: '!land',
+        commenter: payload.comment.user.login,
+        config,
+        pullRequest,
+      }),
+      evaluateReleaseGate({config, context}),
+      evaluateTitlePolicyGate({command: '!land', config, pullRequest}),
+      getSyncTargets(pullRequest),
+      importedPR ? getCoAuthorTrailers({config, pullRequest: importedPR}) : [],
+      withImportedAuthor(config, importedPR),
+    ]);
+    const usesBreakglass = gates.some(gate => gate.bypassed);
+    const commitMessages = generateCommitMessages(
+      pullRequest,
+      importedPRWithAuthor,
+      [
+        ...(usesBreakglass ? [`Breakglass: ${flags.breakglass}`] : []),
+        ...coAuthorTrailers,
+      ],
+      config.commitMessageTemplates,
+    );
+
+    return addComment(
+      pullRequest,
+      lang.notify_preview({
+        affectedRepos,
+        commitMessages,
+        gates: [...gates, releaseGate, titlePolicyGate],
+      }),
+    );
+  }
+
+  /**
+   * Queue a pull request to land. It's checked again once it reaches
+   * the front of the queue, since its state may have changed while
+   * waiting
+   *
+   * @param {{
+   *   breakglass?: {
+   *     reason: string,
+   *     user: string,
+   *   },
+   *   config: import('./config.js').USyncAppConfig,
+   *   context: *,
+   *   keepBranch?: boolean,
+   *   progress: ProgressComment,
+   *   user: string,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function queueLand(opts) {
+    const {breakglass, config, context, keepBranch, progress, user} = opts;
+    const {issue, repository} = context.payload;
+    const parentRepoName = repository.full_name;
+    const queued = landQueue.add(parentRepoName, {
+      id: issue.number,
+      onPositionChange: position =>
+        progress.setStatus(lang.notify_queuePosition(position)),
+      task: async () => {
+        const latestPR = await getMergeablePullRequestInfo(context);
+        const latestReleaseGate = await evaluateReleaseGate({
+          config,
+          context,
+        });
+
+        if (latestPR.state !== 'OPEN') {
+          return progress.fail(lang.error_PRNotOpen('land'));
+        }
+
+        if (latestPR.mergeable !== 'MERGEABLE') {
+          return progress.fail(lang.error_branchNotMergeable('land'));
+        }
+
+        if (!latestReleaseGate.passed) {
+          return progress.fail(latestReleaseGate.error);
+        }
+
+        const isFork = parentRepoName !== latestPR.headRepository.nameWithOwner;
+
+        return landPullRequest({
+          breakglass,
+          config,
+          importedPR: getImportedPR({config, isFork, pullRequest: latestPR}),
+          isFork,
+          keepBranch,
+          progress,
+          pullRequest: latestPR,
+          sync: syncs.get(parentRepoName),
+          user,
+        });
+      },
+    });
+
+    if (!queued) {
+      return progress.fail(lang.notify_alreadyQueued());
     }
 
-    if (pullRequest.baseRefName !== 'master') {
-      return addComment(pullRequest, lang.error_targetNotMaster());
+    await progress.completeStep(lang.progress_checksPassed());
+
+    if (queued.position) {
+      await progress.setStatus(lang.notify_queuePosition(queued.position));
     }
 
-    if (pullRequest.mergeable !== 'MERGEABLE') {
-      return addComment(
-        pullRequest,
-        lang.error_branchNotMergeable(commandName),
+    await queued.result;
+
+    // removed from the queue via `!cancel`
+    if (!progress.finished) {
+      await progress.fail(lang.progress_cancelled());
+    }
+  }
+
+  /**
+   * @param {string} parentRepoName
+   * @param {number} number
+   * @returns {Promise<import('./history.js').OperationRecord | void>}
+   *   latest `!land --when-green` for the pull request
+   */
+  async function getArmedLand(parentRepoName, number) {
+    const [armed] = await getHistoryStore().query({
+      limit: 1,
+      number,
+      repoName: parentRepoName,
+      success: true,
+      type: 'arm',
+    });
+
+    return armed;
+  }
+
+  /**
+   * @param {import('./history.js').OperationRecord} armed
+   * @param {PullRequestOpt} pullRequest
+   * @returns {ProgressComment} the progress comment posted when the
+   *   pull request was armed
+   */
+  function resumeArmedProgress(armed, pullRequest) {
+    return new ProgressComment({
+      command: '!land',
+      commandComment: {
+        id: armed.result.commandCommentId,
+        repoName: pullRequest.repoName,
+      },
+      comment: {
+        id: armed.result.progressCommentId,
+        repoName: pullRequest.repoName,
+      },
+      pullRequest,
+    });
+  }
+
+  /**
+   * Arm a pull request to land once every check passes (i.e.
+   * `!land --when-green`). Armed pull requests are labeled, and who
+   * armed them (along with their flags) is kept in the history
+   *
+   * @param {{
+   *   config: import('./config.js').USyncAppConfig,
+   *   context: *,
+   *   flags: import('./ProbotCommands.js').CommandArgs['flags'],
+   *   progress: ProgressComment,
+   *   pullRequest: PullRequestOpt,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function armLand({config, context, flags, progress, pullRequest}) {
+    const {payload} = context;
+
+    await progress.setStatus(lang.progress_waitingForGreen());
+
+    try {
+      // the label is ignored without a record of who armed it
+      await recordOperation(
+        {
+          type: 'arm',
+          inputs: {
+            breakglass: flags.breakglass,
+            keepBranch: Boolean(flags['keep-branch']),
+          },
+          number: pullRequest.number,
+          repoName: pullRequest.repoName,
+          user: payload.comment.user.login,
+        },
+        async () => ({
+          commandCommentId: payload.comment.id,
+          progressCommentId: progress.comment.id,
+        }),
+        {required: true},
       );
+    } catch (error) {
+      return progress.fail(lang.error_whenGreenNotRecorded());
     }
 
-    // require approval for landing if commenter is PR author
+    await addLabel(pullRequest, config.labels.landWhenGreen);
+
+    return landIfGreen({
+      number: pullRequest.number,
+      repository: payload.repository,
+    });
+  }
+
+  /**
+   * Land a pull request armed via `!land --when-green` if every check
+   * passes, or disarm it if it can't land without changes
+   *
+   * @param {{
+   *   failedSha?: string,
+   *   number: number,
+   *   repository: *,
+   * }} opts `failedSha` is a commit whose status checks just failed
+   * @returns {Promise<void>}
+   */
+  async function landIfGreen({failedSha, number, repository}) {
+    const parentRepoName = repository.full_name;
+
     if (
-      command === '!land' &&
-      payload.comment.user.login === pullRequest.author.login
+      !PARENT_REPOS.includes(parentRepoName) ||
+      landQueue.has(parentRepoName, number)
     ) {
-      const hasApproval = pullRequest.reviews.nodes.some(
-        review => review.state === 'APPROVED',
+      return;
+    }
+
+    const context = {payload: {issue: {number}, repository}};
+    const [{config}, armed] = await Promise.all([
+      loadConfig(parentRepoName),
+      getArmedLand(parentRepoName, number),
+    ]);
+
+    if (!config || !armed) return;
+
+    const pullRequest = await getMergeablePullRequestInfo(context);
+
+    if (!(await prHasLabel(pullRequest, config.labels.landWhenGreen))) {
+      return;
+    }
+
+    const progress = resumeArmedProgress(armed, pullRequest);
+    const [landGates, releaseGate, titlePolicyGate] = await Promise.all([
+      evaluateGates({
+        breakglassReason: armed.inputs.breakglass,
+        command: '!land',
+        commenter: armed.user,
+        config,
+        pullRequest,
+        requireUpToDate: true,
+      }),
+      evaluateReleaseGate({config, context}),
+      evaluateTitlePolicyGate({command: '!land', config, pullRequest}),
+    ]);
+    const gates = [...landGates, titlePolicyGate];
+    const problems = gates
+      .filter(gate => !gate.passed && UNLANDABLE_GATES.includes(gate.name))
+      .map(gate => gate.error);
+
+    if (pullRequest.mergeable === 'CONFLICTING') {
+      problems.push(lang.error_branchNotMergeable('land'));
+    }
+
+    if (failedSha && failedSha === pullRequest.headRefOid) {
+      problems.push(lang.error_checksFailed());
+    }
+
+    if (problems.length) {
+      await removeLabel(pullRequest, config.labels.landWhenGreen);
+      return progress.fail(lang.error_whenGreenUnlandable(problems));
+    }
+
+    // keep waiting, e.g. for status checks or approvals
+    if (!releaseGate.passed || gates.some(gate => !gate.passed)) {
+      return;
+    }
+
+    await removeLabel(pullRequest, config.labels.landWhenGreen);
+
+    // another webhook may have queued it in the meantime
+    if (landQueue.has(parentRepoName, number)) return;
+
+    try {
+      await queueLand({
+        breakglass: gates.some(gate => gate.bypassed)
+          ? {reason: armed.inputs.breakglass, user: armed.user}
+          : undefined,
+        config,
+        context,
+        keepBranch: armed.inputs.keepBranch,
+        progress,
+        user: armed.user,
+      });
+    } catch (error) {
+      await progress.fail(lang.error_SyncError('land', error));
+      throw error;
+    }
+  }
+
+  /**
+   * @param {{
+   *   failed: boolean,
+   *   repository: *,
+   *   sha: string,
+   * }} opts `repository` from the webhook payload. `sha` is the commit
+   *   whose checks just completed, and `failed` whether they failed
+   * @returns {Promise<*>}
+   */
+  async function landArmedPullRequests({failed, repository, sha}) {
+    if (!PARENT_REPOS.includes(repository.full_name)) return;
+
+    const {config} = await loadConfig(repository.full_name);
+
+    if (!config) return;
+
+    const armedPRs = (await getLabeledPullRequests(
+      repository.full_name,
+      config.labels.landWhenGreen,
+    )).filter(({headSha}) => headSha === sha);
+
+    return Promise.all(
+      armedPRs.map(({number}) =>
+        landIfGreen({
+          failedSha: failed ? sha : undefined,
+          number,
+          repository,
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Disarm `!land --when-green`, and remove the pull request from the
+   * land queue if it hasn't started landing yet
+   *
+   * @param {*} context
+   * @returns {Promise<*>}
+   */
+  async function cancelLand(context) {
+    const {payload} = context;
+    const pullRequest = await getPullRequestInfo(context);
+    const parentRepoName = payload.repository.full_name;
+
+    if (!PARENT_REPOS.includes(parentRepoName)) {
+      return addComment(pullRequest, lang.error_nothingToCancel());
+    }
+
+    const {config, errors: configErrors} = await loadConfig(parentRepoName);
+
+    if (configErrors) {
+      return addComment(
+        pullRequest,
+        lang.error_invalidConfig('cancel', configErrors),
       );
+    }
 
-      // https://developer.github.com/v4/enum/mergestatestatus/
-      const upToDatePassing =
-        pullRequest.mergeStateStatus === 'CLEAN' ||
-        pullRequest.mergeStateStatus === 'HAS_HOOKS';
+    const wasQueued = landQueue.remove(parentRepoName, pullRequest.number);
+    const wasArmed = await prHasLabel(pullRequest, config.labels.landWhenGreen);
 
-      if (!hasApproval || !upToDatePassing) {
-        const hasBreakglass = await prHasLabel(pullRequest, 'breakglass');
+    if (wasArmed) {
+      const armed = await getArmedLand(parentRepoName, pullRequest.number);
 
-        if (!hasBreakglass && !upToDatePassing) {
-          return addComment(
-            pullRequest,
-            lang.error_upToDatePassing(commandName),
-          );
-        }
+      await removeLabel(pullRequest, config.labels.landWhenGreen);
 
-        if (!hasBreakglass && !hasApproval) {
-          return addComment(pullRequest, lang.error_approval(commandName));
-        }
+      if (armed) {
+        await resumeArmedProgress(armed, pullRequest).fail(
+          lang.progress_cancelled(),
+        );
       }
     }
 
+    if (!wasQueued && !wasArmed) {
+      return addComment(
+        pullRequest,
+        landQueue.has(parentRepoName, pullRequest.number)
+          ? lang.error_alreadyLanding()
+          : lang.error_nothingToCancel(),
+      );
+    }
+
+    return addComment(
+      pullRequest,
+      lang.notify_landCancelled(payload.comment.user.login),
+    );
+  }
+
+  /**
+   * Report every check `!land` (or `!import`, in child repos) runs at
+   * once, along with the repos the change would go to
+   *
+   * @param {*} context
+   * @returns {Promise<*>}
+   */
+  async function reportStatus(context) {
+    const {payload} = context;
+    const pullRequest = await getPullRequestInfo(context);
+    const repoName = payload.repository.full_name;
+    const isParent = PARENT_REPOS.includes(repoName);
+    const parentRepoName = isParent
+      ? repoName
+      : await findParentRepo(PARENT_REPOS, repoName);
+
+    if (!parentRepoName) {
+      return addComment(pullRequest, lang.error_noParentRepo('status'));
+    }
+
+    const {config, errors: configErrors} = await loadConfig(parentRepoName);
+
+    if (configErrors) {
+      return addComment(
+        pullRequest,
+        lang.error_invalidConfig('status', configErrors),
+      );
+    }
+
+    const command = isParent ? '!land' : '!import';
+    const isFork = repoName !== pullRequest.headRepository.nameWithOwner;
+    const commenter = payload.comment.user.login;
+    const [
+      gates,
+      authorGates,
+      releaseGate,
+      titlePolicyGate,
+      targetRepos,
+    ] = await Promise.all([
+      evaluateGates({
+        command,
+        commenter,
+        config,
+        pullRequest,
+        requireUpToDate: false,
+      }),
+      isParent
+        ? evaluateGates({
+            command,
+            commenter,
+            config,
+            pullRequest,
+            requireUpToDate: true,
+          })
+        : [],
+      isParent ? evaluateReleaseGate({config, context}) : undefined,
+      isParent
+        ? evaluateTitlePolicyGate({command, config, pullRequest})
+        : undefined,
+      isParent
+        ? getSyncTargets(pullRequest).then(({affectedRepos}) => affectedRepos)
+        : [parentRepoName],
+    ]);
+    // `!land` only requires status checks when the author lands their
+    // own pull request, so they're listed but don't decide whether it's
+    // ready
+    const upToDateGate = authorGates.find(
+      gate => gate.name === 'upToDatePassing',
+    );
+
+    if (upToDateGate) {
+      gates.splice(gates.findIndex(gate => gate.name === 'approval'), 0, {
+        ...upToDateGate,
+        conditional: true,
+      });
+    }
+
+    return addComment(
+      pullRequest,
+      lang.notify_status({
+        command,
+        gates: isParent ? [...gates, releaseGate, titlePolicyGate] : gates,
+        source: {
+          importedPR: isParent
+            ? getImportedPR({config, isFork, pullRequest})
+            : undefined,
+          isFork,
+          repoName: pullRequest.headRepository.nameWithOwner,
+        },
+        targetRepos,
+      }),
+    );
+  }
+
+  /**
+   * @param {*} context
+   * @param {string} command
+   * @param {import('./ProbotCommands.js').CommandArgs} args
+   * @returns {Promise<*>}
+   */
+  async function importOrLand(context, command, {flags}) {
+    const {payload} = context;
+    const progress = new ProgressComment({
+      command,
+      commandComment: {
+        id: payload.comment.id,
+        repoName: payload.repository.full_name,
+      },
+      pullRequest: {
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      },
+    });
+
+    await progress.acknowledge();
+
+    const pullRequest = await getPullRequestInfo(context);
+    const commandName = command.slice(1);
+    const isFork =
+      payload.repository.full_name !== pullRequest.headRepository.nameWithOwner;
+    const isParent = PARENT_REPOS.includes(payload.repository.full_name);
+    const parentRepoName = await findParentRepo(
+      PARENT_REPOS,
+      payload.repository.full_name,
+    );
+
+    if (!parentRepoName) {
+      return progress.fail(lang.error_noParentRepo(commandName));
+    }
+
+    const sync = syncs.get(parentRepoName);
+    const {config, errors: configErrors} = await loadConfig(parentRepoName);
+
+    if (configErrors) {
+      return progress.fail(lang.error_invalidConfig(commandName, configErrors));
+    }
+
+    const gates = await evaluateGates({
+      breakglassReason: flags.breakglass,
+      command,
+      commenter: payload.comment.user.login,
+      config,
+      pullRequest,
+    });
+    const failedGate = gates.find(gate => !gate.passed);
+
+    // `!land --when-green` waits for gates to pass instead
+    if (failedGate && !(command === '!land' && flags['when-green'])) {
+      return progress.fail(failedGate.error);
+    }
+
     try {
       if (command === '!import') {
-        if (payload.repository.full_name === USYNC_PARENT_REPO) {
-          return addComment(pullRequest, lang.error_noImportFromParent());
+        if (isParent) {
+          return progress.fail(lang.error_noImportFromParent());
         }
 
-        const newBranch = [
-          'imports',
-          pullRequest.repoName,
-          payload.issue.number,
-        ].join('/');
+        await progress.completeStep(lang.progress_checksPassed());
+
+        const newBranch = getImportBranch({config, pullRequest});
         let prTemplate;
 
         try {
           prTemplate = await getFileContent(
-            USYNC_PARENT_REPO,
+            parentRepoName,
             '.github/pull_request_template.md',
           );
         } catch (e) {
-          return addComment(pullRequest, lang.error_noPRTemplate(commandName));
+          return progress.fail(lang.error_noPRTemplate(commandName));
         }
 
-        await sync.import({
+        const importOpts = {
           baseRepoName: payload.repository.full_name,
           headRepoName: pullRequest.headRepository.nameWithOwner,
           headBranch: pullRequest.headRefName,
           message: pullRequest.title,
           newBranch,
-        });
+        };
+
+        await progress.setStatus(lang.progress_importing());
 
-        const newPR = await createPullRequest({
-          repoName: USYNC_PARENT_REPO,
-          data: {
-            title: pullRequest.title,
-            base: 'master',
-            head: newBranch,
-            body: lang.PRBody_imported({
-              importedPR: pullRequest,
-              template: prTemplate,
-            }),
+        const newPR = await recordOperation(
+          {
+            type: 'import',
+            inputs: importOpts,
+            number: pullRequest.number,
+            repoName: pullRequest.repoName,
+            user: payload.comment.user.login,
           },
-        });
+          async () => {
+            await sync.import(importOpts);
+
+            const {html_url: url, number, head} = await createPullRequest({
+              repoName: parentRepoName,
+              data: {
+                title: pullRequest.title,
+                base: 'master',
+                head: newBranch,
+                body: lang.PRBody_imported({
+                  importedPR: pullRequest,
+                  template: prTemplate,
+                }),
+              },
+            });
+
+            return {
+              number,
+              repoName: parentRepoName,
+              sha: head.sha,
+              url,
+            };
+          },
+        );
 
         await addComment(
           {
-            repoName: USYNC_PARENT_REPO,
+            repoName: parentRepoName,
             number: newPR.number,
           },
           lang.notify_importedToParent({
@@ -191,85 +965,574 @@ function ProbotApp(app) {
             importer: payload.comment.user.login,
           }),
         );
-        await closeIssue(pullRequest);
-        await addComment(
-          pullRequest,
-          lang.notify_importedFromChild(newPR.html_url),
+        await progress.completeStep(
+          lang.progress_imported(parentRepoName, newPR.number),
         );
+        await closeIssue(pullRequest);
+        await progress.completeStep(lang.progress_closed());
 
-        if (!isFork) {
+        if (!isFork && !flags['keep-branch']) {
           await deleteBranch(pullRequest, pullRequest.headRefName);
+          await progress.completeStep(
+            lang.progress_branchDeleted(pullRequest.headRefName),
+          );
         }
+
+        await progress.succeed(lang.notify_importedFromChild(newPR.url));
       } else if (command === '!land') {
-        if (payload.repository.full_name !== USYNC_PARENT_REPO) {
-          return addComment(pullRequest, lang.error_mustLandFromParent());
+        if (!isParent) {
+          return progress.fail(lang.error_mustLandFromParent(parentRepoName));
         }
 
-        if (pullRequest.title.startsWith('Release ')) {
-          await addComment(pullRequest, lang.notify_mergeRelease());
-          return mergeReleasePR(pullRequest);
+        if (pullRequest.title.startsWith(config.releaseTitlePrefix)) {
+          await progress.setStatus(lang.notify_mergeRelease());
+          await mergeReleasePR(pullRequest);
+          return progress.succeed(lang.progress_merged());
         }
 
-        const releasePR = await findOpenReleasePR(context);
-        let importedPR;
-
-        if (releasePR) {
-          return addComment(
-            pullRequest,
-            lang.error_noLandDuringRelease(releasePR.url),
-          );
+        if (flags['when-green']) {
+          return armLand({context, config, flags, progress, pullRequest});
         }
 
-        if (!isFork && pullRequest.headRefName.startsWith('imports/')) {
-          const [, owner, repo, number] = pullRequest.headRefName.split('/');
+        const failedGate = (await Promise.all([
+          evaluateReleaseGate({config, context}),
+          evaluateTitlePolicyGate({command, config, pullRequest}),
+        ])).find(gate => !gate.passed);
 
-          importedPR = {
-            repoName: `${owner}/${repo}`,
-            number: parseInt(number),
-          };
+        if (failedGate) {
+          return progress.fail(failedGate.error);
         }
 
-        const landedRepos = await sync.land({
-          commitMessages: generateCommitMessages(pullRequest, importedPR),
-          fallbackBranch: `land/${pullRequest.number}`,
-          headRepoName: pullRequest.headRepository.nameWithOwner,
-          headBranch: pullRequest.headRefName,
+        await queueLand({
+          breakglass: gates.some(gate => gate.bypassed)
+            ? {reason: flags.breakglass, user: payload.comment.user.login}
+            : undefined,
+          config,
+          context,
+          keepBranch: flags['keep-branch'],
+          progress,
+          user: payload.comment.user.login,
         });
+      }
+    } catch (error) {
+      await progress.fail(lang.error_SyncError(commandName, error));
+      throw error;
+    }
+  }
 
-        await Promise.all([
-          // update this pull request
-          (async () => {
-            await closeIssue(pullRequest);
-            await addLabel(pullRequest, 'Landed');
-            await addComment(pullRequest, lang.notify_landedAll(landedRepos));
+  /**
+   * Update an imported pull request with the latest commits from the
+   * pull request it was imported from, by importing it again into the
+   * same branch
+   *
+   * @param {*} context
+   * @param {string} command
+   * @param {import('./ProbotCommands.js').CommandArgs} args
+   * @returns {Promise<*>}
+   */
+  async function reimportPullRequest(context, command, {flags}) {
+    const {payload} = context;
+    const pullRequest = await getPullRequestInfo(context);
+    const parentRepoName = payload.repository.full_name;
 
-            if (!isFork) {
-              await deleteBranch(pullRequest, pullRequest.headRefName);
-            }
-          })(),
-          // update originally imported pull request
-          (async () => {
-            if (!importedPR || !landedRepos[importedPR.repoName]) {
-              return;
-            }
+    if (!PARENT_REPOS.includes(parentRepoName)) {
+      return addComment(
+        pullRequest,
+        lang.error_mustReimportFromParent(
+          await findParentRepo(PARENT_REPOS, parentRepoName),
+        ),
+      );
+    }
 
-            await addLabel(importedPR, 'Landed');
-            await addComment(
-              importedPR,
-              lang.notify_landedRepo(landedRepos, importedPR.repoName),
-            );
-          })(),
-        ]);
-      }
+    const {config, errors: configErrors} = await loadConfig(parentRepoName);
+
+    if (configErrors) {
+      return addComment(
+        pullRequest,
+        lang.error_invalidConfig('reimport', configErrors),
+      );
+    }
+
+    const isFork = parentRepoName !== pullRequest.headRepository.nameWithOwner;
+    const importedPR = getImportedPR({config, isFork, pullRequest});
+
+    if (!importedPR) {
+      return addComment(pullRequest, lang.error_notImported());
+    }
+
+    if (pullRequest.state !== 'OPEN') {
+      return addComment(pullRequest, lang.error_PRNotOpen('reimport'));
+    }
+
+    const [childPR, parentPR] = await Promise.all([
+      getPullRequest(importedPR),
+      getPullRequest(pullRequest),
+    ]);
+    // `head.repo` is null if the fork was deleted
+    const headRepoName = get(childPR, 'head.repo.full_name');
+    const headSha =
+      headRepoName && (await getBranchSha(headRepoName, childPR.head.ref));
+
+    if (!headSha) {
+      return addComment(
+        pullRequest,
+        lang.error_reimportBranchMissing(
+          headRepoName || importedPR.repoName,
+          childPR.head.ref,
+        ),
+      );
+    }
+
+    // closed pull requests keep the head they were closed with, which
+    // is what was imported, unless it's been reimported since
+    const [lastReimport] = await getHistoryStore().query({
+      limit: 1,
+      number: importedPR.number,
+      repoName: importedPR.repoName,
+      success: true,
+      type: 'reimport',
+    });
+    const importedSha = lastReimport
+      ? lastReimport.result.headSha
+      : childPR.head.sha;
+
+    if (headSha === importedSha) {
+      return addComment(pullRequest, lang.notify_reimportUpToDate(importedPR));
+    }
+
+    // the import is a single commit, so anything more was pushed to
+    // the import branch afterwards
+    if (parentPR.commits > 1 && !flags.force) {
+      return addComment(pullRequest, lang.error_reimportOverwrites());
+    }
+
+    const importOpts = {
+      baseRepoName: importedPR.repoName,
+      headRepoName,
+      headBranch: childPR.head.ref,
+      message: childPR.title,
+      newBranch: pullRequest.headRefName,
+    };
+
+    try {
+      await recordOperation(
+        {
+          type: 'reimport',
+          inputs: {
+            ...importOpts,
+            pullRequest: pick(pullRequest, ['number', 'repoName']),
+          },
+          number: importedPR.number,
+          repoName: importedPR.repoName,
+          user: payload.comment.user.login,
+        },
+        async () => {
+          await syncs.get(parentRepoName).import(importOpts);
+          return {headSha};
+        },
+      );
     } catch (error) {
-      await addComment(pullRequest, lang.error_SyncError(commandName, error));
+      await addComment(pullRequest, lang.error_SyncError('reimport', error));
       throw error;
     }
+
+    return addComment(
+      pullRequest,
+      lang.notify_reimported({
+        commits: await compareCommits(headRepoName, importedSha, headSha).catch(
+          // e.g. the imported commit was force-pushed away
+          () => [],
+        ),
+        importedPR: {...importedPR, url: childPR.html_url},
+      }),
+    );
+  }
+
+  /**
+   * Revert the commits a pull request was landed as, via pull requests
+   * in each repo (or directly, with `--land`)
+   *
+   * @param {*} context
+   * @param {string} command
+   * @param {import('./ProbotCommands.js').CommandArgs} args
+   * @returns {Promise<*>}
+   */
+  async function revertPullRequest(context, command, {flags}) {
+    const {payload} = context;
+    const pullRequest = await getPullRequestInfo(context);
+    const parentRepoName = payload.repository.full_name;
+
+    if (!PARENT_REPOS.includes(parentRepoName)) {
+      return addComment(
+        pullRequest,
+        lang.error_mustRevertFromParent(
+          await findParentRepo(PARENT_REPOS, parentRepoName),
+        ),
+      );
+    }
+
+    const {config, errors: configErrors} = await loadConfig(parentRepoName);
+
+    if (configErrors) {
+      return addComment(
+        pullRequest,
+        lang.error_invalidConfig('revert', configErrors),
+      );
+    }
+
+    if (!(await prHasLabel(pullRequest, config.labels.landed))) {
+      return addComment(
+        pullRequest,
+        lang.error_notLanded(config.labels.landed),
+      );
+    }
+
+    const landedRepos = await findLandedRepos(pullRequest);
+
+    if (!Object.keys(landedRepos).length) {
+      return addComment(pullRequest, lang.error_noLandedCommits());
+    }
+
+    const directly = Boolean(flags.land);
+    const branch = `${config.branchPrefixes.revert}${pullRequest.number}`;
+    const title = `Revert "${pullRequest.title}"`;
+    const sync = syncs.get(parentRepoName);
+    const {failed, reverted} = await recordOperation(
+      {
+        type: 'revert',
+        inputs: {directly, landedRepos},
+        number: pullRequest.number,
+        repoName: pullRequest.repoName,
+        user: payload.comment.user.login,
+      },
+      async () => {
+        const result = {failed: {}, reverted: {}};
+
+        for (const [repoName, {sha}] of Object.entries(landedRepos)) {
+          try {
+            const revertSha = await sync.queue.add(() =>
+              revertCommit({
+                branch: directly ? undefined : branch,
+                message: `${title}\n\nThis reverts commit ${sha}.\n\n${pullRequest.url}`,
+                repoName,
+                sha,
+              }),
+            );
+
+            result.reverted[repoName] = {sha: revertSha};
+
+            if (!directly) {
+              const {html_url: url, number} = await createPullRequest({
+                repoName,
+                data: {
+                  title,
+                  // the branch uSync landed onto
+                  base: 'master',
+                  head: branch,
+                  body: lang.PRBody_revert({pullRequest, sha}),
+                },
+              });
+
+              result.reverted[repoName].pullRequest = {number, url};
+            }
+          } catch (error) {
+            result.failed[repoName] =
+              error instanceof USyncError || error instanceof GitHubRequestError
+                ? error.message
+                : 'Unexpected error';
+            app.log.error(`error reverting ${repoName}: ${error.message}`);
+          }
+        }
+
+        return result;
+      },
+    );
+
+    return addComment(
+      pullRequest,
+      lang.notify_reverted({directly, failed, reverted}),
+    );
+  }
+
+  const keepBranchFlag = {
+    type: 'boolean',
+    description: "don't delete the pull request's branch afterwards",
+  };
+
+  commands.on('!import', importOrLand, {
+    description:
+      'Import this pull request into the parent repo (from a child repo)',
+    flags: {'keep-branch': keepBranchFlag},
+  });
+  commands.on(
+    '!land',
+    (context, command, args) =>
+      args.flags['dry-run']
+        ? previewLand(context, args.flags)
+        : importOrLand(context, command, args),
+    {
+      description:
+        'Land this pull request into the parent repo and its synced child repos',
+      flags: {
+        breakglass: {
+          type: 'string',
+          description:
+            'reason for bypassing approval and status checks (e.g. `--breakglass "prod outage"`)',
+        },
+        'dry-run': {
+          type: 'boolean',
+          description: 'same as `!preview`; nothing is pushed',
+        },
+        'keep-branch': keepBranchFlag,
+        'when-green': {
+          type: 'boolean',
+          description:
+            'land automatically once status checks and approvals pass',
+        },
+      },
+    },
+  );
+  commands.on('!cancel', cancelLand, {
+    description:
+      'Cancel `!land --when-green`, or a `!land` waiting in the land queue',
+    // `!land` holds the lock while waiting in the queue
+    lock: false,
+  });
+  commands.on('!reimport', reimportPullRequest, {
+    description:
+      'Update this imported pull request with the latest commits from the pull request it was imported from',
+    flags: {
+      force: {
+        type: 'boolean',
+        description:
+          'overwrite commits pushed to this pull request after it was imported',
+      },
+    },
+  });
+  commands.on('!revert', revertPullRequest, {
+    description:
+      'Revert this landed pull request in the parent repo and its synced child repos, via pull requests',
+    flags: {
+      land: {
+        type: 'boolean',
+        description:
+          'push the reverts directly instead of opening pull requests',
+      },
+    },
+  });
+  commands.on('!status', reportStatus, {
+    description:
+      'List every check `!land` (or `!import`) runs, and the repos the change goes to',
+    lock: false,
+    permission: 'read',
+  });
+  commands.on('!preview', previewLand, {
+    description: 'Show what `!land` would do, without pushing anything',
+    // read-only, so it can run while e.g. `!land` waits in the queue
+    lock: false,
+  });
+  commands.on(
+    '!merge',
+    async context => {
+      const {payload} = context;
+      const pullRequest = await getPullRequestInfo(context);
+      const suggestedCommand = PARENT_REPOS.includes(
+        payload.repository.full_name,
+      )
+        ? '!land'
+        : '!import';
+
+      return addComment(
+        pullRequest,
+        lang.error_mergeCommandNotSupported(suggestedCommand),
+      );
+    },
+    {hidden: true},
+  );
+
+  // installation IDs are cached per repo, and change when the app is
+  // reinstalled
+  app.on(['installation', 'installation_repositories'], async context => {
+    const {payload} = context;
+    const repos = [
+      ...(payload.repositories || []),
+      ...(payload.repositories_added || []),
+      ...(payload.repositories_removed || []),
+    ];
+
+    clearInstallIDs({
+      installationId: payload.installation.id,
+      repoNames: repos.map(repo => repo.full_name),
+    });
+  });
+
+  /**
+   * Let the author of an imported pull request know when the pull
+   * request it was imported as is closed without landing, or reopened
+   *
+   * @param {*} context `pull_request.closed` or `pull_request.reopened`
+   *   event context
+   * @returns {Promise<*>}
+   */
+  async function updateImportedPR(context) {
+    const {
+      action,
+      pull_request: payloadPR,
+      repository,
+      sender,
+    } = context.payload;
+    const parentRepoName = repository.full_name;
+    const isFork = parentRepoName !== get(payloadPR, 'head.repo.full_name');
+    const parentPR = {
+      number: payloadPR.number,
+      repoName: parentRepoName,
+      url: payloadPR.html_url,
+    };
+
+    // landing closes the pull request before labeling it
+    if (
+      action === 'closed' &&
+      (payloadPR.merged || landQueue.has(parentRepoName, parentPR.number))
+    ) {
+      return;
+    }
+
+    const {config} = await loadConfig(parentRepoName);
+
+    if (!config) return;
+
+    const importedPR = getImportedPR({
+      config,
+      isFork,
+      pullRequest: {headRefName: payloadPR.head.ref},
+    });
+
+    if (!importedPR || (await prHasLabel(parentPR, config.labels.landed))) {
+      return;
+    }
+
+    const {state} = config.imports.reopenOnClose
+      ? await getPullRequest(importedPR)
+      : {};
+
+    if (action === 'closed') {
+      let reopened = false;
+      let reopenFailed = false;
+
+      if (state === 'closed') {
+        try {
+          await reopenIssue(importedPR);
+          reopened = true;
+        } catch (error) {
+          // e.g. its branch was deleted when it was imported
+          reopenFailed = true;
+        }
+      }
+
+      return addComment(
+        importedPR,
+        lang.notify_parentClosed({
+          parentPR,
+          reopenFailed,
+          reopened,
+          user: sender.login,
+        }),
+      );
+    }
+
+    const reclose = state === 'open';
+
+    if (reclose) await closeIssue(importedPR);
+
+    return addComment(
+      importedPR,
+      lang.notify_parentReopened({
+        parentPR,
+        reclosed: reclose,
+        user: sender.login,
+      }),
+    );
+  }
+
+  // `!land --when-green`
+  app.on('check_suite.completed', async context => {
+    const {check_suite: checkSuite, repository} = context.payload;
+
+    // this app's own check (the commit message check) isn't required to
+    // land, so it shouldn't disarm pull requests when it fails
+    if (String(get(checkSuite, 'app.id')) === APP_ID) return;
+
+    return landArmedPullRequests({
+      failed: ['failure', 'timed_out'].includes(checkSuite.conclusion),
+      repository,
+      sha: checkSuite.head_sha,
+    });
+  });
+  app.on('status', async context => {
+    const {repository, sha, state} = context.payload;
+
+    if (state === 'pending') return;
+
+    return landArmedPullRequests({
+      failed: ['error', 'failure'].includes(state),
+      repository,
+      sha,
+    });
+  });
+  app.on('pull_request_review.submitted', async context => {
+    const {pull_request: payloadPR, repository} = context.payload;
+
+    return landIfGreen({number: payloadPR.number, repository});
   });
+  app.on('pull_request.unlabeled', async context => {
+    const {
+      label,
+      pull_request: payloadPR,
+      repository,
+      sender,
+    } = context.payload;
+    const parentRepoName = repository.full_name;
+    const pullRequest = {number: payloadPR.number, repoName: parentRepoName};
+
+    // the app removes the label itself when landing or disarming (and
+    // `!cancel` updates the progress comment)
+    if (
+      !PARENT_REPOS.includes(parentRepoName) ||
+      sender.type === 'Bot' ||
+      landQueue.has(parentRepoName, pullRequest.number)
+    ) {
+      return;
+    }
+
+    const {config} = await loadConfig(parentRepoName);
+
+    if (!config || label.name !== config.labels.landWhenGreen) return;
+
+    const armed = await getArmedLand(parentRepoName, pullRequest.number);
+
+    if (armed) {
+      await resumeArmedProgress(armed, pullRequest).fail(
+        lang.progress_cancelled(),
+      );
+    }
+  });
+
+  app.on(['pull_request.closed', 'pull_request.reopened'], async context => {
+    if (PARENT_REPOS.includes(context.payload.repository.full_name)) {
+      return updateImportedPR(context);
+    }
+  });
+
+  app.on(
+    ['pull_request.opened', 'pull_request.edited', 'pull_request.synchronize'],
+    async context => {
+      if (PARENT_REPOS.includes(context.payload.repository.full_name)) {
+        return publishCommitMessageCheck(context);
+      }
+    },
+  );
 }
 
 module.exports = {
   ProbotApp,
-  // exported for tests
-  generateCommitMessages,
 };
@@ -4,128 +4,1005 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-const {generateCommitMessages} = require('./index.js');
-
-test('generateCommitMessages', () => {
-  expect(
-    generateCommitMessages({
-      repoName: 'foo/parent',
-      number: 10,
-      body: '## Summary\n\nParent PR summary',
-      title: 'Parent PR title',
-    }),
-  ).toEqual({
-    generic: 'Parent PR title\n\nParent PR summary',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
-  });
-
-  expect(
-    generateCommitMessages({
-      repoName: 'foo/parent',
-      number: 10,
-      body: '## Summary\n\n',
-      title: 'Parent PR title',
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const extend = require('just-extend');
+const nock = require('nock');
+const {Probot} = require('probot');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usync-index-'));
+process.env.USYNC_AUDIT_LOG = path.join(tmpDir, 'audit.log');
+process.env.USYNC_HISTORY_PATH = path.join(tmpDir, 'history.log');
+process.env.APP_ID = '123';
+process.env.USYNC_PARENT_REPO = 'org/parent';
+
+const {USync} = require('usyncit');
+const {appendAuditLog} = require('./auditLog.js');
+const commentCreatedFixture = require('./__fixtures__/issue_comment.created.json');
+const {CHECK_NAME} = require('./commitMessageCheck.js');
+const github = require('./github.js');
+const {ProbotApp} = require('./index.js');
+const {getHistoryStore, setHistoryStore} = require('./history.js');
+const lang = require('./lang.js');
+const {findLandedRepos, revertCommit} = require('./revert.js');
+const {findParentRepo, getSyncMapping} = require('./usyncConfig.js');
+
+jest.mock('./auditLog.js', () => ({
+  ...jest.requireActual('./auditLog.js'),
+  appendAuditLog: jest.fn(),
+}));
+jest.mock('./github.js', () => ({
+  ...jest.genMockFromModule('./github.js'),
+  parsePRBody: jest.requireActual('./github.js').parsePRBody,
+}));
+jest.mock('./revert.js', () => ({
+  ...jest.requireActual('./revert.js'),
+  findLandedRepos: jest.fn(),
+  revertCommit: jest.fn(),
+}));
+jest.mock('./usyncConfig.js', () => ({
+  ...jest.requireActual('./usyncConfig.js'),
+  findParentRepo: jest.fn(),
+  getSyncMapping: jest.fn(),
+}));
+
+nock.disableNetConnect();
+// nock patches `http` for every test file run in the same process
+afterAll(() => nock.restore());
+
+let app;
+let probot;
+let lastCommentId = 0;
+
+/**
+ * @param {*} [fields] overrides for the pull request `getPullRequestInfo`
+ *   resolves with
+ * @returns {*} an open, approved, mergeable pull request in the
+ *   parent repo
+ */
+function mockPullRequest(fields = {}) {
+  const pullRequest = {
+    author: {login: 'author'},
+    baseRefName: 'master',
+    body: '## Summary\n\nSummary',
+    headRefName: 'feature',
+    headRefOid: 'head-sha',
+    headRepository: {nameWithOwner: 'org/parent'},
+    mergeable: 'MERGEABLE',
+    mergeStateStatus: 'CLEAN',
+    number: 1,
+    repoName: 'org/parent',
+    reviews: {nodes: [{author: {login: 'reviewer'}, state: 'APPROVED'}]},
+    state: 'OPEN',
+    title: 'Some title',
+    url: 'https://github.com/org/parent/pull/1',
+    ...fields,
+  };
+
+  github.getPullRequestInfo.mockResolvedValue(pullRequest);
+  return pullRequest;
+}
+
+/**
+ * @param {string} body
+ * @param {{
+ *   permission?: string,
+ *   repoName?: string,
+ *   user?: string,
+ * }} [opts]
+ * @returns {Promise<void>}
+ */
+async function comment(body, opts = {}) {
+  const {permission = 'write', repoName = 'org/parent', user = 'author'} = opts;
+
+  nock('https://api.github.com')
+    .get(`/repos/${repoName}/collaborators/${user}/permission`)
+    .reply(200, {permission});
+
+  await probot.receive({
+    name: 'issue_comment',
+    payload: extend(true, {}, commentCreatedFixture, {
+      comment: {body, id: ++lastCommentId, user: {login: user}},
+      issue: {number: 1},
+      repository: {
+        full_name: repoName,
+        name: repoName.split('/')[1],
+        owner: {login: repoName.split('/')[0]},
+      },
     }),
-  ).toEqual({
-    generic: 'Parent PR title',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10',
   });
+}
 
-  expect(
-    generateCommitMessages({
-      repoName: 'foo/parent',
-      number: 10,
-      body:
-        '## Summary\n\n<!-- Replace this with your own summary -->\n*No summary provided*\n\n',
-      title: 'Parent PR title',
-    }),
-  ).toEqual({
-    generic: 'Parent PR title',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10',
+/**
+ * @returns {string[]} bodies of the comments posted via `addComment`
+ */
+function postedComments() {
+  return github.addComment.mock.calls.map(([, body]) => body);
+}
+
+beforeAll(() => {
+  const cert = fs.readFileSync(
+    path.resolve(__dirname, '__fixtures__/mock-cert.pem'),
+    'utf-8',
+  );
+
+  // bound when the app creates its `USync` instances
+  jest.spyOn(USync.prototype, 'import').mockResolvedValue();
+  jest.spyOn(USync.prototype, 'land').mockResolvedValue({});
+  probot = new Probot({cert, id: 123});
+  probot.load(probotApp => {
+    app = probotApp;
+    ProbotApp(app);
+  });
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fs.writeFileSync(process.env.USYNC_HISTORY_PATH, '');
+  github.addComment.mockResolvedValue({data: {id: 100}});
+  github.addReaction.mockResolvedValue({});
+  github.getFileContent.mockResolvedValue('');
+  github.findOpenReleasePR.mockResolvedValue(undefined);
+  github.getPullRequestFiles.mockResolvedValue([]);
+  github.prHasLabel.mockResolvedValue(false);
+  findParentRepo.mockResolvedValue('org/parent');
+  getSyncMapping.mockResolvedValue({'org/child': {child: ''}});
+});
+
+describe('commit message check', () => {
+  /**
+   * @param {string} action
+   * @param {*} [fields] overrides for the pull request payload
+   * @returns {Promise<void>}
+   */
+  function receive(action, fields = {}) {
+    return probot.receive({
+      name: 'pull_request',
+      payload: {
+        action,
+        pull_request: {
+          body: '## Summary\n\nSummary',
+          head: {
+            ref: 'feature',
+            repo: {full_name: 'org/parent'},
+            sha: 'head-sha',
+          },
+          number: 1,
+          title: 'Some title',
+          user: {login: 'author'},
+          ...fields,
+        },
+        repository: {
+          full_name: 'org/parent',
+          name: 'parent',
+          owner: {login: 'org'},
+        },
+      },
+    });
+  }
+
+  /**
+   * @returns {*} `data` of the only check run created
+   */
+  function checkRunData() {
+    expect(github.createCheckRun).toHaveBeenCalledTimes(1);
+
+    const [[{data, repoName}]] = github.createCheckRun.mock.calls;
+
+    expect(repoName).toBe('org/parent');
+    expect(data).toMatchObject({head_sha: 'head-sha', name: CHECK_NAME});
+    return data;
+  }
+
+  beforeEach(() => {
+    github.getPullRequestFiles.mockResolvedValue(['child/index.js']);
   });
 
-  expect(
-    generateCommitMessages({
-      repoName: 'foo/parent',
-      number: 10,
+  for (const action of ['opened', 'edited', 'synchronize']) {
+    test(action, async () => {
+      await receive(action);
+
+      const data = checkRunData();
+
+      expect(getSyncMapping).toHaveBeenCalledWith(
+        'org/parent',
+        'refs/pull/1/head',
+      );
+      expect(data.conclusion).toBe('success');
+      expect(data.output).toEqual(
+        lang.checkRun_commitMessages({
+          affectedRepos: ['org/parent', 'org/child'],
+          commitMessages: {
+            generic: 'Some title\n\nSummary',
+            'org/parent':
+              'Some title (#1)\nhttps://github.com/org/parent/pull/1\n\nSummary',
+          },
+          problems: [],
+        }),
+      );
+    });
+  }
+
+  test('reports problems', async () => {
+    await receive('edited', {
       body:
-        '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/child**\n```\nSome custom child title\n\ncustom child summary\n```',
-      title: 'Parent PR title',
-    }),
-  ).toEqual({
-    generic: 'Parent PR title\n\nParent PR summary',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
-    'foo/child': 'Some custom child title\n\ncustom child summary',
-  });
-
-  expect(
-    generateCommitMessages(
-      {
-        repoName: 'foo/parent',
-        number: 10,
+        '## Summary\n\nSummary\n\n## Commit message overrides\n\n**org/other**\n```\nOther title\n```',
+    });
+
+    const data = checkRunData();
+
+    expect(data.conclusion).toBe('failure');
+    expect(data.output.title).toBe('1 problem with commit messages');
+    expect(data.output.summary).toBe(
+      `- ${lang.lint_overrideRepoNotSynced('org/other')}`,
+    );
+  });
+
+  test('invalid config', async () => {
+    github.getFileContent.mockResolvedValue('labels:\n  landed: 1');
+
+    await receive('opened');
+
+    const data = checkRunData();
+
+    expect(data.conclusion).toBe('failure');
+    expect(data.output.title).toBe('Invalid `.github/usync.yml`');
+  });
+
+  test('unreadable sync mapping', async () => {
+    const error = new Error('Unexpected token } in JSON at position 12');
+
+    getSyncMapping.mockRejectedValue(error);
+
+    await receive('synchronize');
+
+    expect(checkRunData()).toMatchObject({
+      conclusion: 'failure',
+      output: lang.checkRun_unknownSyncTargets(error),
+    });
+  });
+
+  test('only in parent repos', async () => {
+    await probot.receive({
+      name: 'pull_request',
+      payload: {
+        action: 'opened',
+        pull_request: {number: 1},
+        repository: {full_name: 'org/child'},
+      },
+    });
+
+    expect(github.createCheckRun).not.toHaveBeenCalled();
+  });
+});
+
+describe('!revert', () => {
+  beforeEach(() => {
+    mockPullRequest({state: 'MERGED'});
+    github.prHasLabel.mockResolvedValue(true);
+    findLandedRepos.mockResolvedValue({
+      'org/child': {sha: 'child-sha'},
+      'org/parent': {sha: 'parent-sha'},
+    });
+  });
+
+  test('opens revert pull requests', async () => {
+    revertCommit.mockImplementation(async ({repoName}) => {
+      if (repoName === 'org/child') {
+        throw new Error('unexpected');
+      }
+
+      return 'revert-sha';
+    });
+    github.createPullRequest.mockResolvedValue({
+      html_url: 'https://github.com/org/parent/pull/2',
+      number: 2,
+    });
+    jest.spyOn(app.log, 'error').mockImplementation(() => {});
+
+    await comment('!revert');
+
+    expect(revertCommit).toHaveBeenCalledWith({
+      branch: 'revert/1',
+      message:
+        'Revert "Some title"\n\nThis reverts commit parent-sha.\n\nhttps://github.com/org/parent/pull/1',
+      repoName: 'org/parent',
+      sha: 'parent-sha',
+    });
+    expect(github.createPullRequest).toHaveBeenCalledTimes(1);
+    expect(github.createPullRequest).toHaveBeenCalledWith({
+      repoName: 'org/parent',
+      data: expect.objectContaining({base: 'master', head: 'revert/1'}),
+    });
+    expect(app.log.error).toHaveBeenCalledWith(
+      'error reverting org/child: unexpected',
+    );
+    expect(postedComments()).toEqual([
+      lang.notify_reverted({
+        directly: false,
+        failed: {'org/child': 'Unexpected error'},
+        reverted: {
+          'org/parent': {
+            pullRequest: {
+              number: 2,
+              url: 'https://github.com/org/parent/pull/2',
+            },
+            sha: 'revert-sha',
+          },
+        },
+      }),
+    ]);
+
+    app.log.error.mockRestore();
+  });
+
+  test('--land', async () => {
+    revertCommit.mockResolvedValue('revert-sha');
+
+    await comment('!revert --land');
+
+    expect(revertCommit).toHaveBeenCalledTimes(2);
+    expect(revertCommit.mock.calls[0][0].branch).toBeUndefined();
+    expect(github.createPullRequest).not.toHaveBeenCalled();
+    expect(postedComments()).toEqual([
+      lang.notify_reverted({
+        directly: true,
+        failed: {},
+        reverted: {
+          'org/child': {sha: 'revert-sha'},
+          'org/parent': {sha: 'revert-sha'},
+        },
+      }),
+    ]);
+  });
+
+  test('requires the landed label', async () => {
+    github.prHasLabel.mockResolvedValue(false);
+
+    await comment('!revert');
+
+    expect(revertCommit).not.toHaveBeenCalled();
+    expect(postedComments()).toEqual([lang.error_notLanded('Landed')]);
+  });
+});
+
+describe('!reimport', () => {
+  const childPR = {
+    head: {
+      ref: 'feature',
+      repo: {full_name: 'contributor/child'},
+      sha: 'imported-sha',
+    },
+    html_url: 'https://github.com/org/child/pull/5',
+    title: 'Child title',
+  };
+  const commits = [
+    {
+      commit: {message: 'Fix typo\n\nDetails'},
+      html_url: 'https://github.com/contributor/child/commit/latest-sha',
+      sha: 'latest-sha',
+    },
+  ];
+
+  beforeEach(() => {
+    mockPullRequest({headRefName: 'imports/org/child/5'});
+    github.getPullRequest.mockImplementation(async ({repoName}) =>
+      repoName === 'org/child' ? childPR : {commits: 1},
+    );
+    github.getBranchSha.mockResolvedValue('latest-sha');
+    github.compareCommits.mockResolvedValue(commits);
+  });
+
+  test('imports the latest commits into the same branch', async () => {
+    await comment('!reimport');
+
+    expect(USync.prototype.import).toHaveBeenCalledWith({
+      baseRepoName: 'org/child',
+      headRepoName: 'contributor/child',
+      headBranch: 'feature',
+      message: 'Child title',
+      newBranch: 'imports/org/child/5',
+    });
+    expect(github.compareCommits).toHaveBeenCalledWith(
+      'contributor/child',
+      'imported-sha',
+      'latest-sha',
+    );
+
+    // the reimported head is remembered, since the child pull request
+    // still points at it
+    await comment('!reimport');
+
+    expect(USync.prototype.import).toHaveBeenCalledTimes(1);
+    expect(postedComments()).toEqual([
+      lang.notify_reimported({
+        commits,
+        importedPR: {
+          number: 5,
+          repoName: 'org/child',
+          url: 'https://github.com/org/child/pull/5',
+        },
+      }),
+      lang.notify_reimportUpToDate({number: 5, repoName: 'org/child'}),
+    ]);
+  });
+
+  test("doesn't overwrite commits pushed after importing", async () => {
+    github.getPullRequest.mockImplementation(async ({repoName}) =>
+      repoName === 'org/child' ? childPR : {commits: 2},
+    );
+
+    await comment('!reimport');
+
+    expect(USync.prototype.import).not.toHaveBeenCalled();
+    expect(postedComments()).toEqual([lang.error_reimportOverwrites()]);
+
+    await comment('!reimport --force');
+
+    expect(USync.prototype.import).toHaveBeenCalledTimes(1);
+  });
+
+  test('requires an imported pull request', async () => {
+    mockPullRequest();
+
+    await comment('!reimport');
+
+    expect(postedComments()).toEqual([lang.error_notImported()]);
+  });
+});
+
+describe('imported pull request updates', () => {
+  const childPR = {number: 5, repoName: 'org/child'};
+  const parentPR = {
+    number: 1,
+    repoName: 'org/parent',
+    url: 'https://github.com/org/parent/pull/1',
+  };
+
+  /**
+   * @param {'closed' | 'reopened'} action
+   * @returns {Promise<void>}
+   */
+  function receive(action) {
+    return probot.receive({
+      name: 'pull_request',
+      payload: {
+        action,
+        pull_request: {
+          head: {
+            ref: 'imports/org/child/5',
+            repo: {full_name: 'org/parent'},
+          },
+          html_url: parentPR.url,
+          merged: false,
+          number: 1,
+        },
+        repository: {full_name: 'org/parent'},
+        sender: {login: 'maintainer'},
+      },
+    });
+  }
+
+  beforeEach(() => {
+    github.getFileContent.mockResolvedValue('imports:\n  reopenOnClose: true');
+  });
+
+  test('closed', async () => {
+    github.getPullRequest.mockResolvedValue({state: 'closed'});
+
+    await receive('closed');
+
+    expect(github.getPullRequest).toHaveBeenCalledWith(childPR);
+    expect(github.reopenIssue).toHaveBeenCalledWith(childPR);
+    expect(github.addComment).toHaveBeenCalledWith(
+      childPR,
+      lang.notify_parentClosed({parentPR, reopened: true, user: 'maintainer'}),
+    );
+  });
+
+  test("closed, but the original pull request can't be reopened", async () => {
+    github.getPullRequest.mockResolvedValue({state: 'closed'});
+    github.reopenIssue.mockRejectedValueOnce(
+      Object.assign(new Error('Validation Failed'), {status: 422}),
+    );
+
+    await receive('closed');
+
+    expect(github.addComment).toHaveBeenCalledWith(
+      childPR,
+      lang.notify_parentClosed({
+        parentPR,
+        reopenFailed: true,
+        reopened: false,
+        user: 'maintainer',
+      }),
+    );
+    expect(postedComments()[0]).toContain("couldn't be reopened");
+  });
+
+  test('reopened', async () => {
+    github.getPullRequest.mockResolvedValue({state: 'open'});
+
+    await receive('reopened');
+
+    expect(github.closeIssue).toHaveBeenCalledWith(childPR);
+    expect(github.addComment).toHaveBeenCalledWith(
+      childPR,
+      lang.notify_parentReopened({
+        parentPR,
+        reclosed: true,
+        user: 'maintainer',
+      }),
+    );
+  });
+
+  test('ignores landed pull requests', async () => {
+    github.prHasLabel.mockResolvedValue(true);
+
+    await receive('closed');
+
+    expect(github.reopenIssue).not.toHaveBeenCalled();
+    expect(github.addComment).not.toHaveBeenCalled();
+  });
+});
+
+describe('!land --breakglass', () => {
+  /**
+   * @returns {string[]} bodies of every comment posted or updated
+   */
+  function commentBodies() {
+    return [
+      ...postedComments(),
+      ...github.updateComment.mock.calls.map(([, body]) => body),
+    ];
+  }
+
+  beforeEach(() => {
+    github.getFileContent.mockResolvedValue('breakglass:\n  users: [oncall]');
+    github.isTeamMember.mockResolvedValue(false);
+    github.updateComment.mockResolvedValue({});
+    USync.prototype.land.mockResolvedValue({'org/parent': {sha: 'abc'}});
+    mockPullRequest({reviews: {nodes: []}});
+  });
+
+  afterAll(() => {
+    USync.prototype.land.mockResolvedValue({});
+  });
+
+  test('lands with a failing gate', async () => {
+    await comment('!land --breakglass "prod outage"', {user: 'oncall'});
+
+    const [[landOpts]] = USync.prototype.land.mock.calls;
+
+    expect(landOpts.commitMessages['org/parent']).toBe(
+      'Some title (#1)\nhttps://github.com/org/parent/pull/1\n\nSummary\n\nBreakglass: prod outage',
+    );
+    expect(appendAuditLog).toHaveBeenCalledWith({
+      type: 'breakglass',
+      landedRepos: {'org/parent': {sha: 'abc'}},
+      number: 1,
+      reason: 'prod outage',
+      repoName: 'org/parent',
+      user: 'oncall',
+    });
+    expect(commentBodies()).toContainEqual(
+      expect.stringContaining(
+        lang.notify_breakglassUsed('oncall', 'prod outage'),
+      ),
+    );
+  });
+
+  test('refuses users outside the breakglass policy', async () => {
+    await comment('!land --breakglass "prod outage"', {user: 'stranger'});
+
+    expect(USync.prototype.land).not.toHaveBeenCalled();
+    expect(appendAuditLog).not.toHaveBeenCalled();
+    expect(commentBodies()).toContainEqual(
+      expect.stringContaining(lang.error_breakglassNotAllowed('land')),
+    );
+  });
+
+  test('requires a reason', async () => {
+    github.prHasLabel.mockImplementation(
+      async (pullRequest, label) => label === 'breakglass',
+    );
+
+    await comment('!land', {user: 'oncall'});
+
+    expect(USync.prototype.land).not.toHaveBeenCalled();
+    expect(appendAuditLog).not.toHaveBeenCalled();
+    expect(commentBodies()).toContainEqual(
+      expect.stringContaining(lang.error_breakglassReasonRequired('land')),
+    );
+  });
+
+  test("isn't audited when it isn't needed", async () => {
+    mockPullRequest();
+
+    await comment('!land --breakglass "prod outage"', {user: 'oncall'});
+
+    const [[landOpts]] = USync.prototype.land.mock.calls;
+
+    expect(landOpts.commitMessages['org/parent']).not.toContain('Breakglass:');
+    expect(appendAuditLog).not.toHaveBeenCalled();
+  });
+});
+
+describe('!preview', () => {
+  beforeEach(() => {
+    github.getPullRequestFiles.mockResolvedValue(['child/index.js']);
+  });
+
+  for (const body of ['!preview', '!land --dry-run']) {
+    test(body, async () => {
+      mockPullRequest({
         body:
-          '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n<!--\nHTML comment\n-->\n\n**foo/child**\n```\nSome custom child title\n\ncustom child summary\n```',
-        title: 'Parent PR title',
+          '## Summary\n\nSummary\n\n## Commit message overrides\n\n**org/child**\n```\nChild title\n```',
+      });
+
+      await comment(body);
+
+      expect(USync.prototype.land).not.toHaveBeenCalled();
+      expect(github.addLabel).not.toHaveBeenCalled();
+      expect(fs.readFileSync(process.env.USYNC_HISTORY_PATH, 'utf-8')).toBe('');
+      expect(postedComments()).toEqual([
+        [
+          'This is a preview of `!land`; nothing has been pushed.',
+          '',
+          '#### Checks',
+          '',
+          '- :white_check_mark: Open',
+          '- :white_check_mark: Mergeable',
+          '- :white_check_mark: Base branch up-to-date and status checks passing',
+          '- :white_check_mark: Approved',
+          '- :white_check_mark: No open release pull request',
+          "- :white_check_mark: Commit titles follow each repo's title policy",
+          '',
+          '#### Commit messages',
+          '',
+          '**org/parent**',
+          '````',
+          'Some title (#1)',
+          'https://github.com/org/parent/pull/1',
+          '',
+          'Summary',
+          '````',
+          '',
+          '**org/child**',
+          '````',
+          'Child title',
+          '````',
+        ].join('\n'),
+      ]);
+    });
+  }
+
+  test('shows gates bypassed via breakglass, and its trailer', async () => {
+    mockPullRequest({reviews: {nodes: []}});
+
+    await comment('!land --dry-run --breakglass outage');
+
+    expect(USync.prototype.land).not.toHaveBeenCalled();
+    expect(postedComments()[0]).toContain(
+      '- :white_check_mark: Approved *(bypassed via breakglass)*',
+    );
+    expect(postedComments()[0]).toContain(
+      '````\nSome title (#1)\nhttps://github.com/org/parent/pull/1\n\nSummary\n\nBreakglass: outage\n````',
+    );
+  });
+});
+
+describe('!status', () => {
+  test('all checks passing', async () => {
+    mockPullRequest();
+    github.getPullRequestFiles.mockResolvedValue(['child/index.js']);
+
+    await comment('!status', {permission: 'read', user: 'reader'});
+
+    expect(postedComments()).toEqual([
+      [
+        'Ready to `!land`.',
+        '',
+        '#### Checks',
+        '',
+        '- :white_check_mark: Open',
+        '- :white_check_mark: Mergeable',
+        '- :white_check_mark: Base branch up-to-date and status checks passing *(only required when the author lands their own pull request)*',
+        '- :white_check_mark: Approved',
+        '- :white_check_mark: No open release pull request',
+        "- :white_check_mark: Commit titles follow each repo's title policy",
+        '',
+        '#### Source',
+        '',
+        'This pull request is from a branch in this repo.',
+        '',
+        '#### Syncs to',
+        '',
+        '- org/parent',
+        '- org/child',
+      ].join('\n'),
+    ]);
+  });
+
+  test('failing checks', async () => {
+    mockPullRequest({
+      headRefName: 'imports/org/child/5',
+      mergeStateStatus: 'BLOCKED',
+      reviews: {nodes: []},
+    });
+    github.findOpenReleasePR.mockResolvedValue({
+      url: 'https://github.com/org/parent/pull/9',
+    });
+    github.getFileContent.mockResolvedValue(
+      'titlePolicies:\n  org/parent: conventional',
+    );
+
+    await comment('!status', {permission: 'read', user: 'reader'});
+
+    expect(postedComments()).toHaveLength(1);
+    expect(postedComments()[0]).toContain(
+      [
+        'Not ready to `!land` yet.',
+        '',
+        '#### Checks',
+        '',
+        '- :white_check_mark: Open',
+        '- :white_check_mark: Mergeable',
+        '- :x: Base branch up-to-date and status checks passing *(only required when the author lands their own pull request)*',
+        '  - Merge state is `BLOCKED`',
+        '- :x: Approved',
+        '  - At least 1 approved review is required (found 0).',
+        '- :x: No open release pull request',
+        "- :x: Commit titles follow each repo's title policy",
+        `  - ${lang.lint_titlePolicy({
+          policy: 'conventional',
+          repoName: 'org/parent',
+          source: 'title',
+          title: 'Some title (#1)',
+        })}`,
+      ].join('\n'),
+    );
+    expect(postedComments()[0]).toContain(
+      'This pull request was imported from [org/child#5](https://github.com/org/child/pull/5).',
+    );
+  });
+
+  test('pending status checks only block the author', async () => {
+    mockPullRequest({mergeStateStatus: 'BLOCKED'});
+
+    await comment('!status', {permission: 'read', user: 'reader'});
+
+    expect(postedComments()[0]).toContain(
+      [
+        'Ready to `!land`, except by the author until the base branch is up-to-date and status checks pass.',
+        '',
+        '#### Checks',
+        '',
+        '- :white_check_mark: Open',
+        '- :white_check_mark: Mergeable',
+        '- :x: Base branch up-to-date and status checks passing *(only required when the author lands their own pull request)*',
+        '  - Merge state is `BLOCKED`',
+        '- :white_check_mark: Approved',
+      ].join('\n'),
+    );
+  });
+
+  test('checks templated titles', async () => {
+    mockPullRequest();
+    github.getFileContent.mockResolvedValue(
+      [
+        'commitMessageTemplates:',
+        "  org/parent: '[core] {title}'",
+        'titlePolicies:',
+        "  org/parent: '^\\[core\\] '",
+      ].join('\n'),
+    );
+
+    await comment('!status', {permission: 'read', user: 'reader'});
+
+    expect(postedComments()[0]).toContain(
+      "- :white_check_mark: Commit titles follow each repo's title policy",
+    );
+  });
+
+  test('requires read access', async () => {
+    mockPullRequest();
+
+    await comment('!status', {permission: 'none', user: 'stranger'});
+
+    expect(postedComments()).toEqual([]);
+  });
+});
+
+describe('!land --when-green', () => {
+  const repository = {
+    full_name: 'org/parent',
+    name: 'parent',
+    owner: {login: 'org'},
+  };
+
+  /**
+   * @param {string} conclusion
+   * @param {number} [appId] app that ran the check suite
+   * @param {string} [sha] commit the check suite ran on
+   * @returns {Promise<void>}
+   */
+  function completeCheckSuite(conclusion, appId = 456, sha = 'head-sha') {
+    return probot.receive({
+      name: 'check_suite',
+      payload: {
+        action: 'completed',
+        check_suite: {app: {id: appId}, conclusion, head_sha: sha},
+        repository,
       },
-      {
-        repoName: 'foo/child',
-        number: 20,
+    });
+  }
+
+  /**
+   * @returns {string} latest body of the progress comment
+   */
+  function progressComment() {
+    const {calls} = github.updateComment.mock;
+
+    return calls[calls.length - 1][1];
+  }
+
+  beforeEach(async () => {
+    let labeled = false;
+
+    github.addLabel.mockImplementation(async (pullRequest, label) => {
+      if (label === 'land-when-green') labeled = true;
+    });
+    github.removeLabel.mockImplementation(async (pullRequest, label) => {
+      if (label === 'land-when-green') labeled = false;
+    });
+    github.prHasLabel.mockImplementation(
+      async (pullRequest, label) => label === 'land-when-green' && labeled,
+    );
+    github.getLabeledPullRequests.mockImplementation(async () =>
+      labeled ? [{headSha: 'head-sha', number: 1, repoName: 'org/parent'}] : [],
+    );
+    github.updateComment.mockResolvedValue({});
+    // status checks still running
+    mockPullRequest({mergeStateStatus: 'BLOCKED'});
+
+    await comment('!land --when-green');
+  });
+
+  test('arms the pull request', () => {
+    expect(github.addLabel).toHaveBeenCalledWith(
+      expect.objectContaining({number: 1}),
+      'land-when-green',
+    );
+    expect(github.removeLabel).not.toHaveBeenCalled();
+    expect(USync.prototype.land).not.toHaveBeenCalled();
+    expect(postedComments()).toEqual([
+      lang.progress({
+        command: '!land',
+        status: lang.progress_waitingForGreen(),
+        steps: [],
+      }),
+    ]);
+  });
+
+  test('lands once checks pass', async () => {
+    mockPullRequest();
+
+    await completeCheckSuite('success');
+
+    expect(github.removeLabel).toHaveBeenCalledWith(
+      expect.objectContaining({number: 1}),
+      'land-when-green',
+    );
+    expect(USync.prototype.land).toHaveBeenCalledTimes(1);
+    expect(github.addLabel).toHaveBeenCalledWith(
+      expect.objectContaining({number: 1}),
+      'Landed',
+    );
+    expect(progressComment()).toContain(lang.progress_landed());
+  });
+
+  test('disarms once checks fail', async () => {
+    await completeCheckSuite('failure');
+
+    expect(github.removeLabel).toHaveBeenCalledWith(
+      expect.objectContaining({number: 1}),
+      'land-when-green',
+    );
+    expect(USync.prototype.land).not.toHaveBeenCalled();
+    expect(progressComment()).toContain(
+      lang.error_whenGreenUnlandable([lang.error_checksFailed()]),
+    );
+
+    // no longer armed
+    mockPullRequest();
+    await completeCheckSuite('success');
+
+    expect(USync.prototype.land).not.toHaveBeenCalled();
+  });
+
+  test('ignores its own failing check suite', async () => {
+    await completeCheckSuite('failure', 123);
+
+    expect(github.getLabeledPullRequests).not.toHaveBeenCalled();
+    expect(github.removeLabel).not.toHaveBeenCalled();
+  });
+
+  test('ignores checks on other commits', async () => {
+    const historySpy = jest.spyOn(getHistoryStore(), 'query');
+
+    await completeCheckSuite('failure', 456, 'other-sha');
+
+    expect(historySpy).not.toHaveBeenCalled();
+    expect(github.removeLabel).not.toHaveBeenCalled();
+    historySpy.mockRestore();
+  });
+
+  test("fails if it can't be recorded", async () => {
+    const defaultStore = getHistoryStore();
+
+    jest.clearAllMocks();
+    setHistoryStore({
+      add: async () => {
+        throw new Error('disk full');
       },
-    ),
-  ).toEqual({
-    generic: 'Parent PR title\n\nParent PR summary',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
-    'foo/child':
-      'Some custom child title (#20)\nhttps://github.com/foo/child/pull/20\n\ncustom child summary',
-  });
-
-  expect(
-    generateCommitMessages({
-      repoName: 'foo/parent',
-      number: 10,
-      body:
-        '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/child**\n````\nSome custom child title\n\ncustom child summary with a code block\n\n```\nconsole.log("hi")\n```\n````',
-      title: 'Parent PR title',
-    }),
-  ).toEqual({
-    generic: 'Parent PR title\n\nParent PR summary',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
-    'foo/child':
-      'Some custom child title\n\ncustom child summary with a code block\n\n```\nconsole.log("hi")\n```',
-  });
-
-  expect(
-    generateCommitMessages({
-      repoName: 'foo/parent',
-      number: 10,
-      body:
-        '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/child**\n```\nChild PR title\n\n**some-bolded-thing**\nblahblah\n```',
-      title: 'Parent PR title',
-    }),
-  ).toEqual({
-    generic: 'Parent PR title\n\nParent PR summary',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
-    'foo/child': 'Child PR title\n\n**some-bolded-thing**\nblahblah',
+      query: async () => [],
+    });
+
+    try {
+      await comment('!land --when-green');
+    } finally {
+      setHistoryStore(defaultStore);
+    }
+
+    expect(github.addLabel).not.toHaveBeenCalled();
+    expect(progressComment()).toContain(lang.error_whenGreenNotRecorded());
   });
 
-  expect(
-    generateCommitMessages({
-      repoName: 'foo/parent',
-      number: 10,
-      body:
-        '## Summary\n\nParent PR summary\n\n### Sub-heading\n\nfoo\n\n## Commit message overrides\n\n**foo/child**',
-      title: 'Parent PR title',
-    }),
-  ).toEqual({
-    generic: 'Parent PR title\n\nParent PR summary\n\n### Sub-heading\n\nfoo',
-    'foo/parent':
-      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary\n\n### Sub-heading\n\nfoo',
+  test('removing the label disarms it', async () => {
+    /**
+     * @param {string} type account type that removed the label
+     * @returns {Promise<void>}
+     */
+    function unlabel(type) {
+      return probot.receive({
+        name: 'pull_request',
+        payload: {
+          action: 'unlabeled',
+          label: {name: 'land-when-green'},
+          pull_request: {number: 1},
+          repository,
+          sender: {login: type === 'Bot' ? 'usync[bot]' : 'maintainer', type},
+        },
+      });
+    }
+
+    // e.g. when the app lands or disarms it
+    await unlabel('Bot');
+    expect(github.updateComment).not.toHaveBeenCalled();
+
+    await unlabel('User');
+    expect(progressComment()).toContain(lang.progress_cancelled());
+  });
+
+  test('!cancel', async () => {
+    await comment('!cancel');
+
+    expect(github.removeLabel).toHaveBeenCalledWith(
+      expect.objectContaining({number: 1}),
+      'land-when-green',
+    );
+    expect(progressComment()).toContain(lang.progress_cancelled());
+    expect(postedComments()).toContain(lang.notify_landCancelled('author'));
+
+    mockPullRequest();
+    await completeCheckSuite('success');
+
+    expect(USync.prototype.land).not.toHaveBeenCalled();
+
+    await comment('!cancel');
+
+    expect(postedComments()).toContain(lang.error_nothingToCancel());
   });
 });
@@ -5,6 +5,8 @@
  */
 
 const {USyncError} = require('usyncit');
+const {getRepoUrl} = require('./githubUrls.js');
+const {GitHubRequestError} = require('./OctokitRetryPlugin.js');
 
 function quoteLines(input) {
   return input
@@ -17,7 +19,119 @@ function codeBlock(content, language) {
   return '````' + (language || '') + '\n' + content + '\n````';
 }
 
+/**
+ * @param {Object<string, import('./ProbotCommands.js').CommandFlagOpt>} flags
+ * @returns {string[]} markdown list items
+ */
+function flagList(flags) {
+  return Object.entries(flags)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([name, flag]) => {
+      const usage = flag.type === 'string' ? `--${name}=<value>` : `--${name}`;
+      const description = flag.description ? `: ${flag.description}` : '';
+
+      return `- \`${usage}\`${description}`;
+    });
+}
+
+/**
+ * @param {string[]} repoNames
+ * @param {{generic: string} & Object<string, string>} commitMessages
+ * @returns {string} each repo's commit message in a code block
+ */
+function commitMessageList(repoNames, commitMessages) {
+  return repoNames
+    .map(
+      repoName =>
+        `**${repoName}**\n${codeBlock(
+          commitMessages[repoName] || commitMessages.generic,
+        )}`,
+    )
+    .join('\n\n');
+}
+
+const GATE_LABELS = {
+  approval: 'Approved',
+  breakglass: 'Breakglass allowed, with a reason',
+  mergeable: 'Mergeable',
+  open: 'Open',
+  releasePR: 'No open release pull request',
+  titlePolicy: "Commit titles follow each repo's title policy",
+  upToDatePassing: 'Base branch up-to-date and status checks passing',
+};
+
+/**
+ * @param {string} [parentRepoName]
+ */
+function parentRepoSuffix(parentRepoName) {
+  return parentRepoName ? ` (\`${parentRepoName}\`)` : '';
+}
+
+/**
+ * @param {import('./gates.js').GateResult[]} gates
+ */
+function gateChecklist(gates) {
+  return gates
+    .map(gate => {
+      const icon = gate.passed ? ':white_check_mark:' : ':x:';
+      let note = '';
+
+      if (gate.bypassed) {
+        note = ' *(bypassed via breakglass)*';
+      } else if (gate.conditional) {
+        note =
+          ' *(only required when the author lands their own pull request)*';
+      }
+
+      const details = (gate.details || [])
+        .map(detail => `\n  - ${detail}`)
+        .join('');
+
+      return `- ${icon} ${GATE_LABELS[gate.name]}${note}${details}`;
+    })
+    .join('\n');
+}
+
+// identifies comments mirrored between imported pull requests and the
+// pull requests they were imported from
+const MIRRORED_MARKER = '<!-- usync:mirrored -->';
+
+const REVIEW_ACTIONS = {
+  approved: 'approved',
+  changes_requested: 'requested changes on',
+  commented: 'reviewed',
+};
+
 module.exports = {
+  MIRRORED_MARKER,
+
+  /**
+   * @param {{
+   *   body: string,
+   *   html_url: string,
+   *   user: {login: string},
+   * }} comment
+   */
+  mirror_comment: comment =>
+    `${MIRRORED_MARKER}\n**@${comment.user.login}** [commented](${
+      comment.html_url
+    }):\n\n${quoteLines(comment.body)}`,
+
+  /**
+   * @param {{
+   *   body: string | null,
+   *   html_url: string,
+   *   state: string,
+   *   user: {login: string},
+   * }} review
+   */
+  mirror_review: review =>
+    `${MIRRORED_MARKER}\n**@${review.user.login}** ${REVIEW_ACTIONS[
+      review.state
+    ] || 'reviewed'} the [imported pull request](${review.html_url})${
+      review.body ? `:\n\n${quoteLines(review.body)}` : '.'
+    }`,
+
   notify_importedFromChild: url =>
     `This pull request has been imported. If you have access to the parent repo, you can view the imported change [here](${url}).`,
 
@@ -35,26 +149,120 @@ module.exports = {
     `This pull request was imported from [${importedPR.repoName}#${importedPR.number}](${importedPR.url}) by @${importer}. Comment \`!land\` when the change is ready to be landed.`,
 
   /**
-   * Lists commit SHAs for all landed repos
-   *
-   * @param {Object<string, {
-   *   sha: string,
-   * }>} landedRepos
+   * @param {{
+   *   directly: boolean,
+   *   failed: Object<string, string>,
+   *   reverted: Object<string, {
+   *     sha: string,
+   *     pullRequest?: {number: number, url: string},
+   *   }>,
+   * }} props `failed` maps repo names to error messages
    */
-  notify_landedAll: landedRepos => {
-    const repoList = Object.entries(landedRepos)
-      .sort((a, b) => a[0].localeCompare(b[0]))
-      .map(([repoName, info]) => {
-        const {sha} = info;
-        const label = `${repoName}@${sha.slice(0, 7)}`;
-        const url = `https://github.com/${repoName}/commit/${sha}`;
+  notify_reverted: ({directly, failed, reverted}) => {
+    const repoList = Object.keys(reverted)
+      .sort((a, b) => a.localeCompare(b))
+      .map(repoName => {
+        const {pullRequest, sha} = reverted[repoName];
 
-        return `- [${label}](${url})`;
+        return pullRequest
+          ? `- [${repoName}#${pullRequest.number}](${pullRequest.url})`
+          : `- [${repoName}@${sha.slice(0, 7)}](${getRepoUrl(
+              repoName,
+              `commit/${sha}`,
+            )})`;
       });
+    const failedList = Object.keys(failed)
+      .sort((a, b) => a.localeCompare(b))
+      .map(repoName => `- \`${repoName}\`: ${failed[repoName]}`);
+    let result = '';
 
-    return `This pull request was landed via:\n\n${repoList.join('\n')}`;
+    if (repoList.length) {
+      result += directly
+        ? `This pull request was reverted via:\n\n${repoList.join('\n')}`
+        : `Opened pull requests to revert this pull request:\n\n${repoList.join(
+            '\n',
+          )}`;
+    }
+
+    if (failedList.length) {
+      result += `${
+        result ? '\n\n' : ''
+      }:boom: **Unable to revert in:**\n\n${failedList.join('\n')}`;
+    }
+
+    return result;
   },
 
+  /**
+   * @param {{
+   *   parentPR: {
+   *     number: number,
+   *     repoName: string,
+   *     url: string,
+   *   },
+   *   reopenFailed?: boolean,
+   *   reopened: boolean,
+   *   user: string,
+   * }} props
+   */
+  notify_parentClosed: ({parentPR, reopenFailed, reopened, user}) =>
+    `The imported pull request ([${parentPR.repoName}#${parentPR.number}](${
+      parentPR.url
+    })) was closed without landing by @${user}.${
+      reopened ? ' This pull request has been reopened.' : ''
+    }${
+      reopenFailed
+        ? " This pull request couldn't be reopened, likely because its branch was deleted when it was imported; open a new pull request to continue."
+        : ''
+    }`,
+
+  /**
+   * @param {{
+   *   parentPR: {
+   *     number: number,
+   *     repoName: string,
+   *     url: string,
+   *   },
+   *   reclosed: boolean,
+   *   user: string,
+   * }} props
+   */
+  notify_parentReopened: ({parentPR, reclosed, user}) =>
+    `The imported pull request ([${parentPR.repoName}#${parentPR.number}](${
+      parentPR.url
+    })) was reopened by @${user}.${
+      reclosed ? ' This pull request has been closed again.' : ''
+    }`,
+
+  /**
+   * @param {{
+   *   commits: Array<{
+   *     commit: {message: string},
+   *     html_url: string,
+   *     sha: string,
+   *   }>,
+   *   importedPR: {
+   *     number: number,
+   *     repoName: string,
+   *     url: string,
+   *   },
+   * }} props
+   */
+  notify_reimported: ({commits, importedPR}) => {
+    const commitList = commits.map(
+      ({commit, html_url: url, sha}) =>
+        `- [\`${sha.slice(0, 7)}\`](${url}) ${commit.message.split('\n')[0]}`,
+    );
+
+    return `Reimported the latest changes from [${importedPR.repoName}#${
+      importedPR.number
+    }](${importedPR.url})${
+      commitList.length ? `, including:\n\n${commitList.join('\n')}` : '.'
+    }`;
+  },
+  notify_reimportUpToDate: importedPR =>
+    `Nothing to reimport. \`${importedPR.repoName}#${importedPR.number}\` has no new commits.`,
+
   /**
    * @param {Object<string, {
    *   sha: string,
@@ -63,36 +271,344 @@ module.exports = {
    */
   notify_landedRepo: (landedRepos, repoName) =>
     `This pull request was landed via ${landedRepos[repoName].sha}.`,
+
+  /**
+   * @param {{
+   *   commands: string[],
+   *   description?: string,
+   *   flags: Object<string, import('./ProbotCommands.js').CommandFlagOpt>,
+   *   permission: string,
+   * }[]} commands
+   */
+  notify_help: commands => {
+    const commandList = commands.map(entry => {
+      const names = entry.commands.map(command => `\`${command}\``).join(', ');
+      const description = entry.description ? `: ${entry.description}` : '';
+      const flags = flagList(entry.flags)
+        .map(item => `\n  ${item}`)
+        .join('');
+
+      return `- ${names}${description} *(requires ${entry.permission} access)*${flags}`;
+    });
+
+    return `Available commands:\n\n${commandList.join('\n')}`;
+  },
+  notify_breakglassUsed: (user, reason) =>
+    `:rotating_light: Landed with breakglass by @${user}:\n\n${quoteLines(
+      reason,
+    )}`,
   notify_mergeRelease: () => `Release PR detected. Merging.`,
-  error_approval: command =>
-    `Unable to ${command}. At least one approved review is required.`,
+
+  /**
+   * @param {{
+   *   affectedRepos: string[],
+   *   commitMessages: {generic: string} & Object<string, string>,
+   *   gates: import('./gates.js').GateResult[],
+   * }} props
+   */
+  notify_preview: ({affectedRepos, commitMessages, gates}) =>
+    `This is a preview of \`!land\`; nothing has been pushed.\n\n#### Checks\n\n${gateChecklist(
+      gates,
+    )}\n\n#### Commit messages\n\n${commitMessageList(
+      affectedRepos,
+      commitMessages,
+    )}`,
+
+  /**
+   * @param {{
+   *   command: '!import' | '!land',
+   *   gates: import('./gates.js').GateResult[],
+   *   source: {
+   *     importedPR?: import('./github.js').PullRequestOpt,
+   *     isFork: boolean,
+   *     repoName: string,
+   *   },
+   *   targetRepos: string[],
+   * }} props `source.repoName` is the head repo. `targetRepos` are the
+   *   repos `!land` syncs to, or the parent repo for `!import`.
+   *   `conditional` gates only apply when the author runs the command
+   */
+  notify_status: ({command, gates, source, targetRepos}) => {
+    const ready = gates.every(gate => gate.passed || gate.conditional);
+    const readyForAuthor = gates.every(gate => gate.passed);
+    let verdict = `Not ready to \`${command}\` yet.`;
+
+    if (readyForAuthor) {
+      verdict = `Ready to \`${command}\`.`;
+    } else if (ready) {
+      verdict = `Ready to \`${command}\`, except by the author until the base branch is up-to-date and status checks pass.`;
+    }
+
+    const {importedPR} = source;
+    let sourceNote = 'This pull request is from a branch in this repo.';
+
+    if (source.isFork) {
+      sourceNote = `This pull request is from a fork (\`${source.repoName}\`), so its branch won't be deleted.`;
+    } else if (importedPR) {
+      sourceNote = `This pull request was imported from [${
+        importedPR.repoName
+      }#${importedPR.number}](${getRepoUrl(
+        importedPR.repoName,
+        `pull/${importedPR.number}`,
+      )}).`;
+    }
+
+    return `${verdict}\n\n#### Checks\n\n${gateChecklist(
+      gates,
+    )}\n\n#### Source\n\n${sourceNote}\n\n#### ${
+      command === '!land' ? 'Syncs to' : 'Imports into'
+    }\n\n${targetRepos.map(repoName => `- ${repoName}`).join('\n')}`;
+  },
+  gate_mergeState: mergeStateStatus => `Merge state is \`${mergeStateStatus}\``,
+  notify_alreadyQueued: () => 'This pull request is already queued to land.',
+
+  /**
+   * Live progress of a command, edited in place by `ProgressComment`
+   *
+   * @param {{
+   *   command: string,
+   *   outcome?: {message: string, success: boolean},
+   *   status?: string,
+   *   steps: string[],
+   * }} props `status` is the step in progress
+   */
+  progress: ({command, outcome, status, steps}) =>
+    [
+      `**\`${command}\` progress**`,
+      [
+        ...steps.map(step => `- :heavy_check_mark: ${step}`),
+        ...(status && !outcome ? [`- :hourglass_flowing_sand: ${status}`] : []),
+      ].join('\n'),
+      outcome &&
+        `${outcome.success ? ':white_check_mark:' : ':x:'} ${outcome.message}`,
+    ]
+      .filter(Boolean)
+      .join('\n\n'),
+  progress_checksPassed: () => 'Checks passed',
+  progress_importing: () => 'Importing into the parent repo',
+  progress_imported: (repoName, number) =>
+    `Imported into ${repoName} as #${number}`,
+  progress_closed: () => 'Closed this pull request',
+  progress_landing: () => 'Syncing the change to all affected repos',
+  progress_landedRepo: (repoName, sha) =>
+    `Landed in [${repoName}@${sha.slice(0, 7)}](${getRepoUrl(
+      repoName,
+      `commit/${sha}`,
+    )})`,
+  progress_closedAndLabeled: label =>
+    `Closed this pull request and labeled it \`${label}\``,
+  progress_branchDeleted: branchName => `Deleted branch \`${branchName}\``,
+  progress_updatedImportedPR: importedPR =>
+    `Updated ${importedPR.repoName}#${importedPR.number}`,
+  progress_waitingForGreen: () =>
+    'Waiting for status checks and approvals. This pull request will land once every check passes; comment `!cancel` to stop waiting.',
+  progress_cancelled: () => 'Cancelled.',
+  progress_landed: () => 'Landed.',
+  progress_merged: () => 'Merged.',
+  notify_queuePosition: position =>
+    position
+      ? `Queued to land behind ${position} other pull request${
+          position === 1 ? '' : 's'
+        }. This comment will be updated as the queue moves.`
+      : 'Reached the front of the land queue. Landing now.',
+  error_approval: (command, problems) =>
+    `Unable to ${command}. This pull request doesn't meet the approval requirements:\n\n${problems
+      .map(problem => `- ${problem}`)
+      .join('\n')}`,
+  approval_notEnough: (required, actual, staleCount) =>
+    `At least ${required} approved review${
+      required === 1 ? ' is' : 's are'
+    } required (found ${actual}${
+      staleCount
+        ? `; ${staleCount} approval${
+            staleCount === 1 ? ' was' : 's were'
+          } given before the latest push`
+        : ''
+    }).`,
+  approval_changesRequested: logins =>
+    `Changes requested by ${logins.map(login => `@${login}`).join(', ')}.`,
+  approval_teamRequired: team =>
+    `An approved review from a member of \`${team}\` is required.`,
+  error_breakglassReasonRequired: command =>
+    `Unable to ${command}. Breakglass requires a reason (e.g. \`!land --breakglass "prod outage INC-123"\`).`,
+  error_breakglassNotAllowed: command =>
+    `Unable to ${command}. You aren't allowed to use breakglass in this repo.`,
   error_upToDatePassing: command =>
     `Unable to ${command}. Base branch must be up-to-date and status checks must be passing.`,
   error_branchNotMergeable: command =>
     `Unable to ${command}. This branch isn't mergeable.`,
   error_mergeCommandNotSupported: suggestedCommand =>
     `\`!merge\` command is not supported. Did you mean \`${suggestedCommand}\`?`,
-  error_mustLandFromParent: () =>
-    'Can only land from the parent repo. Did you mean `!import`?',
+  error_mustLandFromParent: parentRepoName =>
+    `Can only land from the parent repo${parentRepoSuffix(
+      parentRepoName,
+    )}. Did you mean \`!import\`?`,
+  error_mustPreviewFromParent: parentRepoName =>
+    `Can only preview landing from the parent repo${parentRepoSuffix(
+      parentRepoName,
+    )}.`,
+  error_mustReimportFromParent: parentRepoName =>
+    `Can only reimport from the parent repo${parentRepoSuffix(
+      parentRepoName,
+    )}.`,
   error_noImportFromParent: () =>
     'Cannot import from the parent repo. Did you mean `!land`?',
+  error_mustRevertFromParent: parentRepoName =>
+    `Can only revert from the parent repo${parentRepoSuffix(parentRepoName)}.`,
+  error_notImported: () =>
+    "Unable to reimport. This pull request wasn't imported from a child repo.",
+  error_reimportBranchMissing: (repoName, branchName) =>
+    `Unable to reimport. Branch \`${branchName}\` no longer exists in \`${repoName}\`. To be able to reimport later, use \`!import --keep-branch\`.`,
+  error_reimportOverwrites: () =>
+    'Unable to reimport. Commits were pushed to this pull request after it was imported, and reimporting would overwrite them. Comment `!reimport --force` to overwrite them anyway.',
+  error_noLandedCommits: () =>
+    'Unable to revert. Unable to find the commits this pull request was landed as.',
+  error_notLanded: label =>
+    `Unable to revert. Only pull requests labeled \`${label}\` can be reverted.`,
+  error_titlePolicy: (command, problems) =>
+    `Unable to ${command}. Commit titles must follow each repo's title policy:\n\n${problems
+      .map(problem => `- ${problem}`)
+      .join('\n')}`,
+  error_checksFailed: () => 'Status checks failed on the latest commit.',
+
+  /**
+   * @param {string[]} problems
+   */
+  error_whenGreenUnlandable: problems =>
+    `No longer waiting to land, since this pull request can't land without changes:\n\n${problems
+      .map(problem => `- ${problem}`)
+      .join('\n')}\n\nComment \`!land --when-green\` again once it's fixed.`,
+  error_whenGreenNotRecorded: () =>
+    "Unable to land when green. Who armed this pull request couldn't be saved, so it wouldn't land once checks pass; try again later.",
+  error_nothingToCancel: () =>
+    "There's nothing to cancel. This pull request isn't waiting to land.",
+  error_alreadyLanding: () =>
+    'Unable to cancel. This pull request is already landing.',
+  notify_landCancelled: user => `@${user} cancelled landing this pull request.`,
+  error_noParentRepo: command =>
+    `Unable to ${command}. This repo isn't synced with any parent repo.`,
   error_noLandDuringRelease: url =>
     `Landing is restricted while a [release pull request](${url}) is open. Retry once the release has landed.`,
   error_noPRTemplate: command =>
     `Unable to ${command}. \`.github/pull_request_template.md\` not found in parent repo.`,
   error_PRNotOpen: command =>
     `Unable to ${command}. This pull request isn't open.`,
-  error_targetNotMaster: () =>
-    '`!import` and `!land` are only required for pull requests targeting the `master` branch.',
+  error_invalidConfig: (command, errors) =>
+    `Unable to ${command}. Invalid \`.github/usync.yml\` in parent repo:\n\n${errors
+      .map(error => `- ${error}`)
+      .join('\n')}`,
+  error_unknownCommand: (command, suggestedCommand) =>
+    `\`${command}\` isn't a supported command. Did you mean \`${suggestedCommand}\`? Comment \`!help\` to list available commands.`,
+  error_commandRunning: (command, runningCommand) =>
+    `Unable to run \`${command}\` while \`${runningCommand}\` is running on this pull request. Try again once it finishes.`,
+  error_unknownCommandFlag: name => `Unknown flag \`--${name}\`.`,
+  error_commandFlagNoValue: name =>
+    `Flag \`--${name}\` doesn't accept a value.`,
+  error_commandFlagValueRequired: name =>
+    `Flag \`--${name}\` requires a value (e.g. \`--${name}="some value"\`).`,
+
+  /**
+   * @param {string} command
+   * @param {string} error
+   * @param {Object<string, import('./ProbotCommands.js').CommandFlagOpt>} flags
+   */
+  error_invalidCommandArgs: (command, error, flags) => {
+    const flagItems = flagList(flags);
+
+    return `Unable to run \`${command}\`. ${error}\n\n${
+      flagItems.length
+        ? `Supported flags:\n\n${flagItems.join('\n')}`
+        : `\`${command}\` doesn't accept any flags.`
+    }`;
+  },
   error_SyncError: (command, error) => {
     error =
-      error instanceof USyncError ? error.message : 'Internal Server Error';
+      error instanceof USyncError || error instanceof GitHubRequestError
+        ? error.message
+        : 'Internal Server Error';
 
     return `:boom: **Error when attempting to ${command}:**\n\n${quoteLines(
       error,
     )}`;
   },
 
+  lint_missingSummary: () => 'Missing `## Summary` section.',
+  lint_malformedOverride: section =>
+    `Unable to parse commit message override. Overrides must be a bolded repo name followed by a code block containing the message:\n\n${quoteLines(
+      section,
+    )}`,
+  lint_overrideRepoNotSynced: repoName =>
+    `Commit message override for \`${repoName}\`, which isn't synced with the parent repo.`,
+
+  /**
+   * @param {{
+   *   policy: string,
+   *   repoName: string,
+   *   source: 'override' | 'template' | 'title',
+   *   title: string,
+   * }} opts
+   */
+  lint_titlePolicy: ({policy, repoName, source, title}) =>
+    `Commit title for \`${repoName}\` (${
+      {
+        override: 'from its override',
+        template: 'from its template',
+        title: 'the pull request title',
+      }[source]
+    }) ${
+      policy === 'conventional'
+        ? "doesn't follow [Conventional Commits](https://www.conventionalcommits.org) (e.g. `fix(parser): handle empty input`)"
+        : `doesn't match \`${policy}\``
+    }: \`${title}\``,
+
+  checkRun_invalidConfig: errors => ({
+    title: 'Invalid `.github/usync.yml`',
+    summary: errors.map(error => `- ${error}`).join('\n'),
+  }),
+  checkRun_unknownSyncTargets: error => ({
+    title: 'Unable to find the repos this pull request lands in',
+    summary: `The uSync mapping (\`.usyncrc.json\`) at the head of this pull request or its changed files couldn't be read, so commit messages can't be checked:\n\n${codeBlock(
+      error.message,
+    )}`,
+  }),
+
+  /**
+   * @param {{
+   *   affectedRepos: string[],
+   *   commitMessages: {generic: string} & Object<string, string>,
+   *   problems: string[],
+   * }} props
+   */
+  checkRun_commitMessages: ({affectedRepos, commitMessages, problems}) => ({
+    title: problems.length
+      ? `${problems.length} problem${
+          problems.length === 1 ? '' : 's'
+        } with commit messages`
+      : 'Commit messages are valid',
+    summary: problems.length
+      ? problems
+          .map(problem => `- ${problem.replace(/\n/g, '\n  ')}`)
+          .join('\n')
+      : 'No problems found in the pull request body.',
+    text: `### Commit messages\n\nThese are the commit messages each repo will receive when landed:\n\n${commitMessageList(
+      affectedRepos,
+      commitMessages,
+    )}`,
+  }),
+
+  /**
+   * @param {{
+   *   pullRequest: {
+   *     number: number,
+   *     repoName: string,
+   *     url: string,
+   *   },
+   *   sha: string,
+   * }} props
+   */
+  PRBody_revert: ({pullRequest, sha}) =>
+    `Reverts ${sha}, which was landed via [${pullRequest.repoName}#${pullRequest.number}](${pullRequest.url}).`,
+
   /**
    * @param {{
    *   importedPR: {
@@ -0,0 +1,117 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {Git, USyncError} = require('usyncit');
+const {getComments} = require('./github.js');
+const {getHistoryStore} = require('./history.js');
+
+// matches `lang.progress_landedRepo` steps, e.g.
+// `- :heavy_check_mark: Landed in [org/repo@abc1234](https://github.com/org/repo/commit/<sha>)`,
+// and the repo list comments posted by earlier versions of the app
+const LANDED_REPO_PATTERN = /^- (?::heavy_check_mark: Landed in )?\[([\w.-]+\/[\w.-]+)@[0-9a-f]+\]\(\S+\/commit\/([0-9a-f]{40})\)$/gm;
+
+/**
+ * @param {string} body `!land` progress comment
+ * @returns {Object<string, {sha: string}>} landedRepos
+ */
+function parseLandedRepos(body) {
+  const landedRepos = {};
+  let match;
+
+  LANDED_REPO_PATTERN.lastIndex = 0;
+
+  while ((match = LANDED_REPO_PATTERN.exec(body))) {
+    landedRepos[match[1]] = {sha: match[2]};
+  }
+
+  return landedRepos;
+}
+
+/**
+ * Find the commits a pull request was landed as, from the operation
+ * history or, failing that, the comment posted after landing
+ *
+ * @param {import('./github.js').PullRequestOpt} pullRequest
+ * @returns {Promise<Object<string, {sha: string}>>} landedRepos;
+ *   empty if none were found
+ */
+async function findLandedRepos(pullRequest) {
+  const [landRecord] = await getHistoryStore().query({
+    limit: 1,
+    number: pullRequest.number,
+    repoName: pullRequest.repoName,
+    success: true,
+    type: 'land',
+  });
+
+  if (landRecord && landRecord.result) {
+    return landRecord.result;
+  }
+
+  const comments = await getComments(pullRequest);
+
+  for (const comment of comments.reverse()) {
+    const landedRepos = parseLandedRepos(comment.body);
+
+    if (Object.keys(landedRepos).length) {
+      return landedRepos;
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Revert a commit on top of the latest `master`, and push it either
+ * to `master` or to a new branch
+ *
+ * Must run in the parent repo's `USync` queue, since uSync uses the
+ * same local clones
+ *
+ * @param {{
+ *   branch?: string,
+ *   message: string,
+ *   repoName: string,
+ *   sha: string,
+ * }} opts pushed to `master` if `branch` is omitted
+ * @returns {Promise<string>} sha of the revert commit
+ */
+async function revertCommit({branch, message, repoName, sha}) {
+  const repoGit = new Git(repoName);
+
+  await repoGit.fetchLatest();
+
+  if (branch) {
+    await repoGit.raw(['checkout', '-b', branch]);
+  }
+
+  try {
+    await repoGit.raw(['revert', '--no-commit', sha]);
+  } catch (error) {
+    await repoGit.raw(['revert', '--abort']).catch(() => {});
+    throw new USyncError(
+      `Unable to revert \`${sha.slice(
+        0,
+        7,
+      )}\` in \`${repoName}\`; it likely conflicts with later changes`,
+    );
+  }
+
+  await repoGit.raw(['commit', `--message=${message}`]);
+  await repoGit.raw(
+    branch
+      ? ['push', '--force', 'origin', branch]
+      : ['push', 'origin', 'master'],
+  );
+
+  return repoGit.raw(['rev-parse', 'HEAD']);
+}
+
+module.exports = {
+  findLandedRepos,
+  parseLandedRepos,
+  revertCommit,
+};
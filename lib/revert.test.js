@@ -0,0 +1,78 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getComments} = require('./github.js');
+const {setHistoryStore} = require('./history.js');
+const lang = require('./lang.js');
+const {findLandedRepos, parseLandedRepos} = require('./revert.js');
+
+jest.mock('./github.js');
+
+const landedRepos = {
+  'org/parent': {sha: 'a'.repeat(40)},
+  'org/child_1': {sha: 'b'.repeat(40)},
+};
+
+const landedBody = lang.progress({
+  command: '!land',
+  outcome: {message: lang.progress_landed(), success: true},
+  steps: [
+    lang.progress_checksPassed(),
+    ...Object.entries(landedRepos).map(([repoName, {sha}]) =>
+      lang.progress_landedRepo(repoName, sha),
+    ),
+  ],
+});
+
+test('parseLandedRepos', () => {
+  expect(parseLandedRepos(landedBody)).toEqual(landedRepos);
+  // comments from earlier versions
+  expect(
+    parseLandedRepos(
+      `This pull request was landed via:\n\n- [org/parent@aaaaaaa](https://github.com/org/parent/commit/${'a'.repeat(
+        40,
+      )})`,
+    ),
+  ).toEqual({'org/parent': landedRepos['org/parent']});
+  expect(parseLandedRepos('!land')).toEqual({});
+});
+
+test('findLandedRepos', async () => {
+  const pullRequest = {repoName: 'org/parent', number: 1};
+  const records = [];
+
+  setHistoryStore({
+    add: async record => records.push(record),
+    query: async ({limit, ...filters}) =>
+      records
+        .filter(record =>
+          Object.keys(filters).every(key => record[key] === filters[key]),
+        )
+        .slice(-limit),
+  });
+  getComments.mockResolvedValue([
+    {body: '!land'},
+    {body: landedBody},
+    {body: 'thanks!'},
+  ]);
+
+  // from comments
+  expect(await findLandedRepos(pullRequest)).toEqual(landedRepos);
+
+  // from history
+  records.push({
+    ...pullRequest,
+    result: {'org/parent': {sha: 'c'.repeat(40)}},
+    success: true,
+    type: 'land',
+  });
+  expect(await findLandedRepos(pullRequest)).toEqual({
+    'org/parent': {sha: 'c'.repeat(40)},
+  });
+
+  getComments.mockResolvedValue([]);
+  expect(await findLandedRepos({...pullRequest, number: 2})).toEqual({});
+});
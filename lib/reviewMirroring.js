@@ -0,0 +1,162 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const get = require('just-safe-get');
+const {loadConfig} = require('./config.js');
+const {
+  addComment,
+  findOpenPullRequest,
+  getPullRequest,
+} = require('./github.js');
+const {getImportBranch, getImportedPR} = require('./imports.js');
+const lang = require('./lang.js');
+const {hasCommandLine} = require('./ProbotCommands.js');
+const {findParentRepo} = require('./usyncConfig.js');
+
+/**
+ * Comments that shouldn't be mirrored: the app's own comments
+ * (including mirrored ones) and comments with a command on any line
+ *
+ * @param {{
+ *   body: string,
+ *   user: {login: string, type: string},
+ * }} comment
+ * @returns {boolean}
+ */
+function shouldSkipComment(comment) {
+  return (
+    comment.user.type === 'Bot' ||
+    comment.body.includes(lang.MIRRORED_MARKER) ||
+    hasCommandLine(comment.body)
+  );
+}
+
+/**
+ * Relay review summaries and top-level comments on imported pull
+ * requests to the pull requests they were imported from, and replies
+ * on those back to the imported pull requests. Enabled per parent
+ * repo via the `imports.mirrorReviews` option
+ *
+ * @param {import('probot').Application} app
+ * @param {{
+ *   parentRepoNames: string[],
+ * }} opts
+ */
+function registerReviewMirroring(app, {parentRepoNames}) {
+  /**
+   * @param {string} parentRepoName
+   * @returns {Promise<import('./config.js').USyncAppConfig | void>} the
+   *   parent repo's config, if it mirrors reviews
+   */
+  async function getMirrorConfig(parentRepoName) {
+    const {config} = await loadConfig(parentRepoName);
+
+    if (config && config.imports.mirrorReviews) {
+      return config;
+    }
+  }
+
+  /**
+   * @param {{
+   *   config: import('./config.js').USyncAppConfig,
+   *   parentRepoName: string,
+   *   payloadPR: *,
+   * }} opts `payloadPR` is `pull_request` from a webhook payload, or
+   *   the REST API
+   * @returns {import('./github.js').PullRequestOpt | void}
+   */
+  function getMirroredChildPR({config, parentRepoName, payloadPR}) {
+    return getImportedPR({
+      config,
+      isFork: parentRepoName !== get(payloadPR, 'head.repo.full_name'),
+      pullRequest: {headRefName: payloadPR.head.ref},
+    });
+  }
+
+  app.on('pull_request_review.submitted', async context => {
+    const {pull_request: payloadPR, repository, review} = context.payload;
+    const parentRepoName = repository.full_name;
+
+    // reviews with only inline comments have no summary
+    if (
+      !parentRepoNames.includes(parentRepoName) ||
+      (!review.body && review.state === 'commented')
+    ) {
+      return;
+    }
+
+    const config = await getMirrorConfig(parentRepoName);
+    const childPR =
+      config && getMirroredChildPR({config, parentRepoName, payloadPR});
+
+    if (childPR) {
+      return addComment(childPR, lang.mirror_review(review));
+    }
+  });
+
+  app.on('issue_comment.created', async context => {
+    const {comment, issue, repository} = context.payload;
+    const repoName = repository.full_name;
+
+    if (!issue.pull_request || shouldSkipComment(comment)) return;
+
+    // comment on an imported pull request
+    if (parentRepoNames.includes(repoName)) {
+      const config = await getMirrorConfig(repoName);
+
+      if (!config) return;
+
+      const childPR = getMirroredChildPR({
+        config,
+        parentRepoName: repoName,
+        payloadPR: await getPullRequest({repoName, number: issue.number}),
+      });
+
+      if (childPR) {
+        return addComment(childPR, lang.mirror_comment(comment));
+      }
+
+      return;
+    }
+
+    // reply on the pull request it was imported from. Finding its
+    // parent repo reads every parent's uSync mapping, so only parents
+    // that mirror reviews are considered
+    const configs = new Map();
+
+    await Promise.all(
+      parentRepoNames.map(async parentRepoName => {
+        const config = await getMirrorConfig(parentRepoName);
+
+        if (config) configs.set(parentRepoName, config);
+      }),
+    );
+
+    if (!configs.size) return;
+
+    const parentRepoName = await findParentRepo([...configs.keys()], repoName);
+
+    if (!parentRepoName) return;
+
+    const config = configs.get(parentRepoName);
+
+    const parentPR = await findOpenPullRequest(
+      parentRepoName,
+      getImportBranch({
+        config,
+        pullRequest: {number: issue.number, repoName},
+      }),
+    );
+
+    if (parentPR) {
+      return addComment(parentPR, lang.mirror_comment(comment));
+    }
+  });
+}
+
+module.exports = {
+  registerReviewMirroring,
+};
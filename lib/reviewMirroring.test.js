@@ -0,0 +1,211 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Probot} = require('probot');
+const {
+  addComment,
+  findOpenPullRequest,
+  getFileContent,
+  getPullRequest,
+} = require('./github.js');
+const lang = require('./lang.js');
+const {registerReviewMirroring} = require('./reviewMirroring.js');
+const {findParentRepo} = require('./usyncConfig.js');
+
+jest.mock('./github.js');
+jest.mock('./usyncConfig.js');
+
+const importedPR = {
+  head: {ref: 'imports/org/child/5', repo: {full_name: 'org/parent'}},
+  number: 1,
+};
+let probot;
+
+/**
+ * @param {*} fields
+ * @returns {*} `issue_comment.created` payload
+ */
+function commentPayload(fields) {
+  return {
+    action: 'created',
+    comment: {
+      body: 'Looks good',
+      html_url: 'https://github.com/org/parent/pull/1#issuecomment-1',
+      user: {login: 'reviewer', type: 'User'},
+      ...fields.comment,
+    },
+    issue: {number: 1, pull_request: {}},
+    repository: {full_name: 'org/parent'},
+    ...fields,
+  };
+}
+
+beforeAll(() => {
+  const cert = fs.readFileSync(
+    path.resolve(__dirname, '__fixtures__/mock-cert.pem'),
+    'utf-8',
+  );
+
+  probot = new Probot({cert, id: 123});
+  probot.load(app =>
+    registerReviewMirroring(app, {parentRepoNames: ['org/parent']}),
+  );
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  getFileContent.mockResolvedValue('imports:\n  mirrorReviews: true');
+  getPullRequest.mockResolvedValue(importedPR);
+  findParentRepo.mockResolvedValue('org/parent');
+  findOpenPullRequest.mockResolvedValue({number: 1, repoName: 'org/parent'});
+});
+
+test('relays reviews on imported pull requests', async () => {
+  const review = {
+    body: 'Please add a test',
+    html_url: 'https://github.com/org/parent/pull/1#pullrequestreview-1',
+    state: 'changes_requested',
+    user: {login: 'reviewer'},
+  };
+
+  await probot.receive({
+    name: 'pull_request_review',
+    payload: {
+      action: 'submitted',
+      pull_request: importedPR,
+      repository: {full_name: 'org/parent'},
+      review,
+    },
+  });
+
+  expect(addComment).toHaveBeenCalledWith(
+    {number: 5, repoName: 'org/child'},
+    lang.mirror_review(review),
+  );
+
+  // only inline comments
+  addComment.mockClear();
+  await probot.receive({
+    name: 'pull_request_review',
+    payload: {
+      action: 'submitted',
+      pull_request: importedPR,
+      repository: {full_name: 'org/parent'},
+      review: {...review, body: null, state: 'commented'},
+    },
+  });
+
+  expect(addComment).not.toHaveBeenCalled();
+});
+
+test('relays comments from parent to child', async () => {
+  const payload = commentPayload({});
+
+  await probot.receive({name: 'issue_comment', payload});
+
+  expect(getPullRequest).toHaveBeenCalledWith({
+    number: 1,
+    repoName: 'org/parent',
+  });
+  expect(addComment).toHaveBeenCalledWith(
+    {number: 5, repoName: 'org/child'},
+    lang.mirror_comment(payload.comment),
+  );
+});
+
+test('relays replies from child to parent', async () => {
+  const payload = commentPayload({
+    comment: {
+      body: 'Done!',
+      html_url: 'https://github.com/org/child/pull/5#issuecomment-2',
+      user: {login: 'contributor', type: 'User'},
+    },
+    issue: {number: 5, pull_request: {}},
+    repository: {full_name: 'org/child'},
+  });
+
+  await probot.receive({name: 'issue_comment', payload});
+
+  expect(findParentRepo).toHaveBeenCalledWith(['org/parent'], 'org/child');
+  expect(findOpenPullRequest).toHaveBeenCalledWith(
+    'org/parent',
+    'imports/org/child/5',
+  );
+  expect(addComment).toHaveBeenCalledWith(
+    {number: 1, repoName: 'org/parent'},
+    lang.mirror_comment(payload.comment),
+  );
+});
+
+test("doesn't mirror its own comments or commands", async () => {
+  const payloads = [
+    // the app's comments, e.g. mirrored ones
+    commentPayload({
+      comment: {
+        body: lang.mirror_comment(commentPayload({}).comment),
+        user: {login: 'usync[bot]', type: 'Bot'},
+      },
+    }),
+    // mirrored comments posted by a user account (e.g. `GH_TOKEN`)
+    commentPayload({
+      comment: {
+        body: lang.mirror_comment(commentPayload({}).comment),
+        user: {login: 'usync-user', type: 'User'},
+      },
+      repository: {full_name: 'org/child'},
+    }),
+    commentPayload({comment: {body: '!land', user: {login: 'reviewer'}}}),
+    // commands run from any line, and mustn't leak to the child repo
+    commentPayload({
+      comment: {body: 'LGTM\n\n!land', user: {login: 'reviewer'}},
+    }),
+    commentPayload({
+      comment: {body: 'Thanks!\r\n  !import', user: {login: 'contributor'}},
+      repository: {full_name: 'org/child'},
+    }),
+  ];
+
+  for (const payload of payloads) {
+    await probot.receive({name: 'issue_comment', payload});
+  }
+
+  expect(addComment).not.toHaveBeenCalled();
+  expect(getFileContent).not.toHaveBeenCalled();
+  expect(findParentRepo).not.toHaveBeenCalled();
+});
+
+test('mirrors commands quoted in code blocks', async () => {
+  const payload = commentPayload({
+    comment: {
+      body: 'Run this once approved:\n\n```\n!land\n```',
+      user: {login: 'reviewer', type: 'User'},
+    },
+  });
+
+  await probot.receive({name: 'issue_comment', payload});
+
+  expect(addComment).toHaveBeenCalledWith(
+    {number: 5, repoName: 'org/child'},
+    lang.mirror_comment(payload.comment),
+  );
+});
+
+test('requires `imports.mirrorReviews`', async () => {
+  getFileContent.mockResolvedValue('');
+
+  await probot.receive({name: 'issue_comment', payload: commentPayload({})});
+  await probot.receive({
+    name: 'issue_comment',
+    payload: commentPayload({repository: {full_name: 'org/child'}}),
+  });
+
+  expect(addComment).not.toHaveBeenCalled();
+  // checked before reading pull requests or parents' uSync mappings
+  expect(getPullRequest).not.toHaveBeenCalled();
+  expect(findParentRepo).not.toHaveBeenCalled();
+});
@@ -0,0 +1,41 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getPullRequestFiles} = require('./github.js');
+const {getAffectedRepos, getSyncMapping} = require('./usyncConfig.js');
+
+/**
+ * Find the repos a parent repo pull request lands in. uSync uses the
+ * mapping from the head of the pull request, so changes to
+ * `.usyncrc.json` apply to the pull request that makes them
+ *
+ * @param {import('./github.js').PullRequestOpt} pullRequest in the
+ *   parent repo
+ * @returns {Promise<{
+ *   affectedRepos: string[],
+ *   mapping: Object<string, Object<string, string>>,
+ * }>} `affectedRepos` starts with the parent repo, followed by the
+ *   child repos its changed files sync to
+ */
+async function getSyncTargets(pullRequest) {
+  const [mapping, filenames] = await Promise.all([
+    getSyncMapping(
+      pullRequest.repoName,
+      `refs/pull/${pullRequest.number}/head`,
+    ),
+    getPullRequestFiles(pullRequest),
+  ]);
+
+  return {
+    affectedRepos: [
+      pullRequest.repoName,
+      ...getAffectedRepos(mapping, filenames),
+    ],
+    mapping,
+  };
+}
+
+module.exports = {getSyncTargets};
@@ -0,0 +1,30 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getFileContent, getPullRequestFiles} = require('./github.js');
+const {getSyncTargets} = require('./syncTargets.js');
+
+jest.mock('./github.js');
+
+test('getSyncTargets', async () => {
+  getFileContent.mockResolvedValue(
+    JSON.stringify({
+      mapping: {'foo/a-child': {'/a/': ''}, 'foo/b-child': {b: ''}},
+    }),
+  );
+  getPullRequestFiles.mockResolvedValue(['a/index.js', 'README.md']);
+
+  expect(await getSyncTargets({number: 3, repoName: 'foo/parent'})).toEqual({
+    affectedRepos: ['foo/parent', 'foo/a-child'],
+    mapping: {'foo/a-child': {a: ''}, 'foo/b-child': {b: ''}},
+  });
+  // uSync uses the mapping from the head of the pull request
+  expect(getFileContent).toHaveBeenCalledWith(
+    'foo/parent',
+    '.usyncrc.json',
+    'refs/pull/3/head',
+  );
+});
@@ -0,0 +1,90 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getFileContent} = require('./github.js');
+
+/**
+ * Read the uSync mapping (`.usyncrc.json`) from the parent repo, with
+ * leading/trailing slashes stripped from paths the same way uSync
+ * does
+ *
+ * @param {string} repoName
+ * @param {string} [ref] e.g. `refs/pull/1/head`; defaults to the
+ *   default branch
+ * @returns {Promise<Object<string, Object<string, string>>>} map of
+ *   child repo names to `{[parentPath]: childPath}`
+ */
+async function getSyncMapping(repoName, ref) {
+  const config = JSON.parse(
+    await getFileContent(repoName, '.usyncrc.json', ref),
+  );
+
+  return Object.entries(config.mapping || {}).reduce(
+    (result, [childRepoName, mapping]) => {
+      result[childRepoName] = Object.entries(mapping).reduce((paths, entry) => {
+        const [parentPath, childPath] = entry.map(p =>
+          p.replace(/^\/|\/$/g, ''),
+        );
+
+        paths[parentPath] = childPath;
+        return paths;
+      }, {});
+
+      return result;
+    },
+    {},
+  );
+}
+
+/**
+ * @param {string[]} parentRepoNames
+ * @param {string} repoName
+ * @returns {Promise<string | void>} the parent repo that syncs
+ *   `repoName` (or `repoName` itself, if it's a parent repo)
+ */
+async function findParentRepo(parentRepoNames, repoName) {
+  if (parentRepoNames.includes(repoName)) {
+    return repoName;
+  }
+
+  const mappings = await Promise.all(
+    parentRepoNames.map(parentRepoName =>
+      getSyncMapping(parentRepoName).catch(error => {
+        // parent repo isn't set up yet
+        if (error.status === 404) return {};
+        throw error;
+      }),
+    ),
+  );
+
+  return parentRepoNames.find((_, i) => mappings[i][repoName]);
+}
+
+/**
+ * @param {Object<string, Object<string, string>>} mapping
+ * @param {string[]} filenames paths changed in the parent repo
+ * @returns {string[]} child repos that sync at least one of the files
+ */
+function getAffectedRepos(mapping, filenames) {
+  return Object.keys(mapping)
+    .filter(repoName =>
+      Object.keys(mapping[repoName]).some(parentPath =>
+        filenames.some(
+          filename =>
+            !parentPath ||
+            filename === parentPath ||
+            filename.startsWith(`${parentPath}/`),
+        ),
+      ),
+    )
+    .sort((a, b) => a.localeCompare(b));
+}
+
+module.exports = {
+  findParentRepo,
+  getAffectedRepos,
+  getSyncMapping,
+};
@@ -0,0 +1,56 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getFileContent} = require('./github.js');
+const {findParentRepo, getAffectedRepos} = require('./usyncConfig.js');
+
+jest.mock('./github.js');
+
+test('getAffectedRepos', () => {
+  const mapping = {
+    'foo/b-child': {'projects/b': ''},
+    'foo/a-child': {'projects/a': 'src', 'shared/a.js': 'a.js'},
+    'foo/empty': {},
+  };
+
+  expect(getAffectedRepos(mapping, [])).toEqual([]);
+  expect(getAffectedRepos(mapping, ['README.md'])).toEqual([]);
+  expect(getAffectedRepos(mapping, ['projects/a/index.js'])).toEqual([
+    'foo/a-child',
+  ]);
+  expect(
+    getAffectedRepos(mapping, ['projects/b/index.js', 'shared/a.js']),
+  ).toEqual(['foo/a-child', 'foo/b-child']);
+  // prefix must match a full path segment
+  expect(getAffectedRepos(mapping, ['projects/ab/index.js'])).toEqual([]);
+  expect(getAffectedRepos({'foo/root': {'': ''}}, ['README.md'])).toEqual([
+    'foo/root',
+  ]);
+});
+
+test('findParentRepo', async () => {
+  const parentRepos = ['foo/parent', 'foo/other-parent', 'foo/new-parent'];
+  const mappings = {
+    'foo/parent': {mapping: {'foo/a-child': {'projects/a': ''}}},
+    'foo/other-parent': {mapping: {'foo/b-child': {'projects/b': ''}}},
+  };
+
+  getFileContent.mockImplementation(async repoName => {
+    if (!mappings[repoName]) {
+      throw Object.assign(new Error('Not Found'), {status: 404});
+    }
+
+    return JSON.stringify(mappings[repoName]);
+  });
+
+  expect(await findParentRepo(parentRepos, 'foo/other-parent')).toBe(
+    'foo/other-parent',
+  );
+  expect(await findParentRepo(parentRepos, 'foo/b-child')).toBe(
+    'foo/other-parent',
+  );
+  expect(await findParentRepo(parentRepos, 'foo/c-child')).toBeUndefined();
+});